@@ -9,13 +9,20 @@ import WeatherWidget from "./componets/WeatherWidget/WeatherWidget";
 import ImageGalleryTest from "./componets/ImageGallery/ImageGalleryTest";
 import Timer from "./componets/Timer/Timer";
 import ConnectionStatus from "./componets/ConnectionStatus/ConnectionStatus";
+import ConnectionProvider from "./componets/ConnectionStatus/ConnectionProvider";
+import ConnectionHistory from "./componets/ConnectionStatus/ConnectionHistory";
 import ButtonWithLoader from "./componets/ButtonWithLoader/ButtonWithLoader";
 import VideoPlayer from "./componets/VideoPlayer/VideoPlayer";
 
+// Heartbeat endpoint of the dev server (see vite.config.js); a production
+// build trusts navigator.onLine unless it is given a real endpoint
+const HEARTBEAT_URL = import.meta.env.DEV ? "/health" : undefined;
+
 function App() {
   return (
-    <>
+    <ConnectionProvider heartbeatUrl={HEARTBEAT_URL}>
       <ConnectionStatus />
+      {/* <ConnectionHistory /> */}
       {/* <Calculator /> */}
       {/* <Clock /> */}
       {/* <PaperRockScissors /> */}
@@ -38,7 +45,7 @@ function App() {
         Click Me
       </ButtonWithLoader> */}
       <VideoPlayer />
-    </>
+    </ConnectionProvider>
   );
 }
 
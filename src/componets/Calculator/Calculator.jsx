@@ -1,256 +1,88 @@
-// React hooks for state management, performance optimization, and side effects
-import { useCallback, useState, useEffect, useMemo } from "react";
+// React hooks for side effects
+import { useEffect } from "react";
+// Headless calculator: state machine, display text and settings
+import useCalculator from "./useCalculator";
+// Button layouts and key groups of the calculator
+import { LAYOUTS, HEX_DIGIT_KEYS, MEMORY_BUTTONS } from "./calculatorEngine";
+// Panel that lists past calculations
+import CalculatorHistory from "./CalculatorHistory";
+// Base formatting for the programmer mode panel
+import { BASES, WORD_SIZES, formatInteger } from "./programmerMode";
 // Calculator-specific styles
 import "./Calculator.css";
 
-const Calculator = () => {
-  // State for the current value displayed on the calculator screen
-  const [screenNumbers, setScreenNumbers] = useState("0"); // Showing on Screen Numbers State
-  // State for the mathematical expression being built by user input
-  const [expression, setExpression] = useState(""); // Expression State
-  // State to track if the screen is currently showing a calculation result
-  const [previousResult, setPreviousResult] = useState(null); // Track if showing result
-
-  // Memoized array of calculator button values in grid layout order
-  // Layout: 4 rows of operation buttons, then 4 rows of numbers and operators
-  // Uses symbols: % (percent), CE (clear entry), C (clear all), ⌫ (backspace),
-  // ⅟x (reciprocal), x² (square), ²√x (square root), ÷×-+ (basic operations)
-  const buttonValues = useMemo(
-    () => [
-      "%",
-      "CE",
-      "C",
-      "⌫",
-      "⅟x",
-      "x²",
-      "²√x",
-      "÷",
-      "7",
-      "8",
-      "9",
-      "×",
-      "4",
-      "5",
-      "6",
-      "-",
-      "1",
-      "2",
-      "3",
-      "+",
-      "+/-",
-      "0",
-      ",",
-      "=",
-    ],
-    []
-  );
-
-  // Helper function to format numbers for display
-  // Limits decimal places to 8 and handles infinite/NaN values
-  const formatNumber = useCallback((num) => {
-    if (!isFinite(num)) return "Error";
-    return Number(num.toFixed(8)).toString();
-  }, []);
-
-  // Safe evaluation function that converts calculator symbols to JavaScript operators
-  // Replaces ÷ with /, × with *, and , with . for proper math evaluation
-  // Validates input to prevent code injection and only allows mathematical expressions
-  const safeEval = useCallback((expression) => {
-    try {
-      // Convert calculator symbols to JavaScript mathematical operators
-      const sanitized = expression
-        .replace(/÷/g, "/")
-        .replace(/×/g, "*")
-        .replace(/,/g, ".");
-
-      // Security check: only allow numbers, operators, parentheses, and spaces
-      if (!/^[\d+\-*/.() ]+$/.test(sanitized)) {
-        throw new Error("Invalid expression");
-      }
-
-      // Use Function constructor in strict mode for safe evaluation
-      return Function(`"use strict"; return (${sanitized})`)();
-    } catch {
-      return NaN;
-    }
-  }, []);
-
-  // Main button click handler - processes all calculator button interactions
-  const handleButtonClick = useCallback(
-    (val) => {
-      // Clear All: Reset calculator to initial state
-      if (val === "C") {
-        setExpression("");
-        setScreenNumbers("0");
-        setPreviousResult(null);
-        return;
-      }
-
-      // Equals: Evaluate the current expression and display result
-      if (val === "=") {
-        if (!expression.trim()) return;
-
-        const result = safeEval(expression);
-        // Handle calculation errors (division by zero, invalid operations, etc.)
-        if (isNaN(result) || !isFinite(result)) {
-          setScreenNumbers("Error");
-          setExpression("");
-          setPreviousResult(null);
-        } else {
-          const formattedResult = formatNumber(result);
-          setExpression(formattedResult);
-          setScreenNumbers(formattedResult);
-          setPreviousResult(result);
-        }
-        return;
-      }
-
-      // Backspace: Remove last character or clear if showing result
-      if (val === "⌫") {
-        // If showing a calculation result, clear everything
-        if (previousResult !== null) {
-          setExpression("");
-          setScreenNumbers("0");
-          setPreviousResult(null);
-        } else if (expression.length <= 1) {
-          // If only one character left, clear to zero
-          setExpression("");
-          setScreenNumbers("0");
-        } else {
-          // Remove the last character from expression
-          const newExp = expression.slice(0, -1);
-          setExpression(newExp);
-          setScreenNumbers(newExp || "0");
-        }
-        return;
-      }
-
-      // Clear Entry: Clear current entry (same as Clear All in this implementation)
-      if (val === "CE") {
-        setExpression("");
-        setScreenNumbers("0");
-        setPreviousResult(null);
-        return;
-      }
-
-      // Decimal point handling (using comma as decimal separator)
-      if (val === ",") {
-        // If showing a result, start new decimal number
-        if (previousResult !== null) {
-          setExpression("0,");
-          setScreenNumbers("0,");
-          setPreviousResult(null);
-          return;
-        }
-
-        // Prevent multiple decimal points in the same number
-        const parts = expression.split(/[+\-×÷]/);
-        const currentNumber = parts[parts.length - 1];
-        if (currentNumber.includes(",")) return;
-
-        // If expression is empty or ends with operator, start with "0,"
-        if (!expression || /[+\-×÷]$/.test(expression)) {
-          const newExp = expression + "0,";
-          setExpression(newExp);
-          setScreenNumbers(newExp);
-          return;
-        }
-
-        // Add decimal point to existing number
-        const newExp = expression + ",";
-        setExpression(newExp);
-        setScreenNumbers(newExp);
-        return;
-      }
-
-      // Advanced mathematical operations that work on the current screen number
-      const mathOps = {
-        // Percentage: Convert number to percentage (divide by 100)
-        "%": () => {
-          const num = parseFloat(screenNumbers);
-          return isFinite(num) ? formatNumber(num / 100) : null;
-        },
-        // Plus/Minus: Toggle sign of current number
-        "+/-": () => {
-          const num = parseFloat(screenNumbers);
-          return isFinite(num) ? formatNumber(-num) : null;
-        },
-        // Reciprocal: Calculate 1/x (handles division by zero)
-        "⅟x": () => {
-          const num = parseFloat(screenNumbers);
-          if (!isFinite(num) || num === 0) return null;
-          return formatNumber(1 / num);
-        },
-        // Square: Calculate x²
-        "x²": () => {
-          const num = parseFloat(screenNumbers);
-          return isFinite(num) ? formatNumber(num * num) : null;
-        },
-        // Square root: Calculate √x (handles negative numbers)
-        "²√x": () => {
-          const num = parseFloat(screenNumbers);
-          if (!isFinite(num) || num < 0) return null;
-          return formatNumber(Math.sqrt(num));
-        },
-      };
+// Keyboard shortcuts that only apply in one mode, merged into the common key map
+const MODE_KEYS = {
+  basic: {},
+  scientific: {
+    "^": "xʸ", // Power
+    "!": "n!", // Factorial
+    s: "sin", // Sine
+    o: "cos", // Cosine
+    t: "tan", // Tangent
+    n: "ln", // Natural logarithm
+    l: "log", // Common logarithm
+    p: "π", // Pi
+    e: "e", // Euler's number
+  },
+  programmer: {
+    "&": "AND", // Bitwise AND
+    "|": "OR", // Bitwise OR
+    "^": "XOR", // Bitwise XOR (as in C)
+    "~": "NOT", // Bitwise NOT
+    "%": "MOD", // Remainder
+    "<": "<<", // Shift left
+    ">": ">>", // Shift right
+    // Hex digits, upper or lower case
+    ...Object.fromEntries(
+      Object.entries(HEX_DIGIT_KEYS).flatMap(([key, digit]) => [
+        [digit, key],
+        [digit.toLowerCase(), key],
+      ])
+    ),
+  },
+};
 
-      // Execute mathematical operation if button matches one
-      if (mathOps[val]) {
-        const result = mathOps[val]();
-        if (result !== null) {
-          // Operation successful: update screen and set as new result
-          setExpression(result);
-          setScreenNumbers(result);
-          setPreviousResult(parseFloat(result));
-        } else {
-          // Operation failed (e.g., division by zero, square root of negative): show error
-          setScreenNumbers("Error");
-          setExpression("");
-          setPreviousResult(null);
-        }
-        return;
-      }
+// Letter that presses each memory key together with Alt (see keyMap)
+const MEMORY_SHORTCUTS = {
+  MC: "L", // Memory clear
+  MR: "R", // Memory recall
+  "M+": "P", // Memory add
+  "M−": "Q", // Memory subtract
+  MS: "M", // Memory store
+};
 
-      // Handle number input when showing a calculation result
-      if (previousResult !== null && /[0-9]/.test(val)) {
-        // Start fresh calculation with the new number
-        setExpression(val);
-        setScreenNumbers(val);
-        setPreviousResult(null);
-        return;
-      }
+/**
+ * Calculator Component
+ * The UI of the headless useCalculator hook: screen, keys, memory and history
+ *
+ * @param {Object} props
+ * @param {number} [props.precision=10] - Fraction digits kept in results (division, roots, ...)
+ * @param {string} [props.roundingMode="half-up"] - How results are rounded, one of ROUNDING_MODES in utils/decimal.js
+ * @param {string} [props.locale] - BCP 47 locale for decimal and grouping separators, browser default when omitted
+ * @returns {JSX.Element} Rendered calculator
+ */
+const Calculator = ({ precision, roundingMode, locale }) => {
+  // Calculator state and the actions that change it
+  const {
+    state,
+    dispatch,
+    display,
+    layout,
+    isKeyEnabled,
+    formatText,
+    programmerValue,
+    numberLocale,
+  } = useCalculator({ precision, roundingMode, locale });
+  const { mode, angleUnit, radix, wordSize, memory, activeSlot } = state;
+  const slotCount = memory.length;
 
-      // Handle basic arithmetic operators (+, -, ×, ÷)
-      if (["+", "-", "×", "÷"].includes(val)) {
-        if (previousResult !== null) {
-          // Continue calculation using the previous result
-          const newExp = screenNumbers + val;
-          setExpression(newExp);
-          setScreenNumbers(newExp);
-          setPreviousResult(null);
-          return;
-        }
+  // Button press, from a click or the keyboard
+  const handleButtonClick = (val) => dispatch({ type: "press", key: val });
 
-        // Replace last operator if user presses a different operator consecutively
-        const lastChar = expression.slice(-1);
-        if (["+", "-", "×", "÷"].includes(lastChar)) {
-          const newExp = expression.slice(0, -1) + val;
-          setExpression(newExp);
-          setScreenNumbers(newExp);
-          return;
-        }
-      }
-
-      // Handle general number and operator input (fallback case)
-      // If starting fresh with a number, use just the number; otherwise append to expression
-      const newExp =
-        expression === "" && /[0-9]/.test(val) ? val : expression + val;
-      setExpression(newExp);
-      setScreenNumbers(newExp || "0");
-      setPreviousResult(null);
-    },
-    [expression, screenNumbers, previousResult, formatNumber, safeEval]
-  );
+  // Text on a button: hex digits drop their "hex" prefix, the decimal key shows the locale's separator
+  const buttonLabel = (val) =>
+    HEX_DIGIT_KEYS[val] ?? (val === "." ? numberLocale.decimal : val);
 
   // Keyboard event handler for calculator input
   useEffect(() => {
@@ -267,18 +99,49 @@ const Calculator = () => {
       x: "×", // Multiplication (x key)
       X: "×", // Multiplication (X key)
       "/": "÷", // Division
-      ",": ",", // Decimal (comma)
-      ".": ",", // Decimal (period mapped to comma)
+      ",": ".", // Decimal (comma, whatever the locale)
+      ".": ".", // Decimal (period)
+      "(": "(", // Opening parenthesis
+      ")": ")", // Closing parenthesis
+      ...MODE_KEYS[mode],
+      // Memory keys: Alt plus a letter. Alt combinations are looked up by
+      // physical key (event.code) because Alt changes event.key on macOS
+      ...Object.fromEntries(
+        Object.entries(MEMORY_SHORTCUTS).map(([val, letter]) => [
+          `Alt+Key${letter}`,
+          val,
+        ])
+      ),
+      // Alt+1, Alt+2, ... select the memory slot the memory keys act on
+      ...Object.fromEntries(
+        Array.from({ length: Math.min(slotCount, 9) }, (_, idx) => [
+          `Alt+Digit${idx + 1}`,
+          { type: "selectSlot", index: idx },
+        ])
+      ),
     };
 
     // Handle keyboard input events
     const handleKeyDown = (event) => {
       const key = event.key;
+      // Browser and system shortcuts (reload, print, ...) are left alone
+      if (event.ctrlKey || event.metaKey) return;
+
+      const val = event.altKey
+        ? keyMap[`Alt+${event.code}`]
+        : keyMap[key] || (key >= "0" && key <= "9" && key);
 
-      // Accept number keys (0-9) or mapped special keys
-      if ((key >= "0" && key <= "9") || keyMap[key]) {
+      // Slot shortcuts map straight to their action
+      if (typeof val === "object") {
+        event.preventDefault();
+        dispatch(val);
+        return;
+      }
+
+      // Accept number keys (0-9) or mapped special keys, if usable in the current mode
+      if (val && isKeyEnabled(val)) {
         event.preventDefault(); // Prevent default browser behavior
-        handleButtonClick(keyMap[key] || key);
+        dispatch({ type: "press", key: val });
       }
     };
 
@@ -286,25 +149,167 @@ const Calculator = () => {
     document.addEventListener("keydown", handleKeyDown);
     // Cleanup: remove event listener when component unmounts or dependencies change
     return () => document.removeEventListener("keydown", handleKeyDown);
-  }, [handleButtonClick]);
+  }, [dispatch, isKeyEnabled, mode, slotCount]);
+
+  // Paste handler: numbers in either convention ("1.234,5" or "1,234.5") are
+  // rewritten to the canonical form and the text is added to the expression
+  useEffect(() => {
+    const handlePaste = (event) => {
+      // Leave pasting into form fields of the page alone
+      const target = event.target;
+      if (target?.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+
+      const text = event.clipboardData?.getData("text") ?? "";
+      if (!text.trim()) return;
+      event.preventDefault();
+      dispatch({ type: "paste", text });
+    };
+
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, [dispatch]);
 
   // Render calculator UI
   return (
-    <div className="calculator-container">
+    <div className={`calculator-container ${mode}`}>
+      {/* Mode switch and, in scientific mode, the degree/radian toggle */}
+      <div className="calculator-toolbar">
+        <div className="calculator-modes" role="group" aria-label="Mode">
+          {Object.keys(LAYOUTS).map((name) => (
+            <button
+              key={name}
+              className={name === mode ? "active" : undefined}
+              onClick={() => dispatch({ type: "setMode", mode: name })}
+              aria-pressed={name === mode}
+            >
+              {LAYOUTS[name].label}
+            </button>
+          ))}
+        </div>
+        {mode === "scientific" && (
+          <button
+            className="calculator-angle-unit"
+            onClick={() => dispatch({ type: "toggleAngleUnit" })}
+            aria-label={`Angle unit: ${angleUnit === "deg" ? "degrees" : "radians"}`}
+          >
+            {angleUnit.toUpperCase()}
+          </button>
+        )}
+        {mode === "programmer" && (
+          <select
+            className="calculator-word-size"
+            value={wordSize}
+            onChange={(e) =>
+              dispatch({
+                type: "setWordSize",
+                wordSize: Number(e.target.value),
+              })
+            }
+            aria-label="Word size"
+          >
+            {WORD_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}-bit
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
       {/* Display screen showing current number or expression */}
-      <div className="calculator-screen">{screenNumbers}</div>
-      {/* Button grid containing all calculator buttons */}
-      <div className="calculator-number">
-        {buttonValues.map((val) => (
+      <div className="calculator-screen">
+        {display}
+        {/* Reason of the last failed calculation, e.g. "Division by zero at position 5" */}
+        {state.errorMessage && (
+          <div className="calculator-error" role="alert">
+            {state.errorMessage}
+          </div>
+        )}
+      </div>
+      {/* Programmer mode: live value in every base; click a base to type in it */}
+      {mode === "programmer" && (
+        <div className="calculator-bases" role="group" aria-label="Number base">
+          {BASES.map((base) => (
+            <button
+              key={base.name}
+              className={base.radix === radix ? "active" : undefined}
+              onClick={() => dispatch({ type: "setRadix", radix: base.radix })}
+              aria-pressed={base.radix === radix}
+            >
+              <span className="calculator-base-name">{base.name}</span>
+              <span className="calculator-base-value">
+                {formatInteger(programmerValue, base.radix, wordSize)}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+      {/* Memory slots: click a slot to select it for the memory keys */}
+      <div
+        className="calculator-memory-slots"
+        role="group"
+        aria-label="Memory slots"
+      >
+        {memory.map((slot, idx) => (
+          <button
+            key={slot.name}
+            className={idx === activeSlot ? "active" : undefined}
+            onClick={() => dispatch({ type: "selectSlot", index: idx })}
+            aria-pressed={idx === activeSlot}
+            aria-keyshortcuts={idx < 9 ? `Alt+${idx + 1}` : undefined}
+            aria-label={`Memory ${slot.name}: ${
+              slot.value === null ? "empty" : formatText(slot.value)
+            }`}
+          >
+            <span className="calculator-memory-name">{slot.name}</span>
+            <span className="calculator-memory-value">
+              {slot.value === null ? "—" : formatText(slot.value)}
+            </span>
+          </button>
+        ))}
+      </div>
+      {/* Memory keys acting on the selected slot */}
+      <div className="calculator-memory">
+        {MEMORY_BUTTONS.map((val) => (
           <button
             key={val}
             onClick={() => handleButtonClick(val)}
-            aria-label={val} // Accessibility label for screen readers
+            disabled={
+              (val === "MC" || val === "MR") &&
+              memory[activeSlot].value === null
+            }
+            aria-label={val}
+            aria-keyshortcuts={`Alt+${MEMORY_SHORTCUTS[val]}`}
           >
             {val}
           </button>
         ))}
       </div>
+      {/* Button grid containing all calculator buttons */}
+      <div
+        className="calculator-number"
+        style={{ gridTemplateColumns: `repeat(${layout.columns}, 1fr)` }}
+      >
+        {layout.buttons.map((val) => (
+          <button
+            key={val}
+            className={layout.wide.includes(val) ? "wide" : undefined}
+            onClick={() => handleButtonClick(val)}
+            disabled={!isKeyEnabled(val)} // Digits that do not exist in the current base
+            aria-label={buttonLabel(val)} // Accessibility label for screen readers
+          >
+            {buttonLabel(val)}
+          </button>
+        ))}
+      </div>
+      {/* History tape: click an entry to recall it, export as CSV or text */}
+      <CalculatorHistory
+        entries={state.history}
+        onSelect={(entry) => dispatch({ type: "recall", entry })}
+        format={formatText}
+        onClear={() => dispatch({ type: "clearHistory" })}
+      />
     </div>
   );
 };
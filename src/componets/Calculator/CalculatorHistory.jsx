@@ -0,0 +1,85 @@
+// History tape helpers: CSV/text serialization
+import { historyToCsv, historyToText } from "./historyStorage";
+// File download of the exports
+import { downloadFile } from "../../utils/download";
+
+/**
+ * Scrollable list of past calculations shown under the calculator buttons
+ *
+ * @param {Object} props
+ * @param {Array} props.entries - History entries, oldest first
+ * @param {Function} props.onSelect - Called with an entry when the user clicks it
+ * @param {Function} props.onClear - Called when the user clears the history
+ * @param {Function} [props.format] - Turns stored text into the text shown (e.g. localized
+ *   separators); called with the text and the mode of the entry
+ * @returns {JSX.Element} Rendered history panel
+ */
+const CalculatorHistory = ({
+  entries,
+  onSelect,
+  onClear,
+  format = (text) => text,
+}) => {
+  // Export the whole tape as CSV or plain text
+  const handleExport = (kind) => {
+    if (kind === "csv") {
+      downloadFile(historyToCsv(entries), "calculator-history.csv", "text/csv");
+    } else {
+      downloadFile(
+        historyToText(entries),
+        "calculator-history.txt",
+        "text/plain"
+      );
+    }
+  };
+
+  return (
+    <div className="calculator-history">
+      <div className="calculator-history-header">
+        <span>History</span>
+        <div className="calculator-history-actions">
+          <button
+            onClick={() => handleExport("csv")}
+            disabled={entries.length === 0}
+          >
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport("text")}
+            disabled={entries.length === 0}
+          >
+            Text
+          </button>
+          <button onClick={onClear} disabled={entries.length === 0}>
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="calculator-history-empty">No calculations yet</div>
+      ) : (
+        // Newest calculation first, like a tape coming out of the machine
+        <ul className="calculator-history-list">
+          {[...entries].reverse().map((entry) => (
+            <li key={entry.id}>
+              <button
+                onClick={() => onSelect(entry)}
+                aria-label={`Recall ${format(entry.expression, entry.mode)} = ${format(entry.result, entry.mode)}`}
+              >
+                <span className="calculator-history-expression">
+                  {format(entry.expression, entry.mode)} =
+                </span>
+                <span className="calculator-history-result">
+                  {format(entry.result, entry.mode)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CalculatorHistory;
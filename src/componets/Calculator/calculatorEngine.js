@@ -0,0 +1,795 @@
+// Headless state machine of the Calculator component
+// Everything a key press does is computed here by a pure reducer, so the same
+// calculator can drive the bundled UI, a custom one, or be tested without rendering.
+// Expressions are kept in canonical form ("." as decimal separator, no grouping);
+// numbers are Decimals, or BigInts in programmer mode.
+
+// Expression engine: tokenizer, parser and evaluator with structured errors
+import {
+  evaluateExpression,
+  tokenize,
+  CalculatorError,
+} from "./expressionParser";
+// Exact decimal numbers used by the engine outside programmer mode
+import {
+  Decimal,
+  DEFAULT_PRECISION,
+  DEFAULT_ROUNDING,
+} from "../../utils/decimal";
+// History entries recorded by "="
+import { createHistoryEntry } from "./historyStorage";
+// Base formatting and conversion for programmer mode
+import {
+  formatInteger,
+  isDigitInBase,
+  convertNumerals,
+} from "./programmerMode";
+// Pasted numbers may use either separator convention
+import { localizePosition, normalizePastedText } from "./numberLocale";
+import { getNumberLocale } from "../../utils/numberLocale";
+
+// Memory keys shown in their own row above the button grid
+// MC (clear slot), MR (recall slot), M+ / M− (add to / subtract from slot), MS (store in slot)
+export const MEMORY_BUTTONS = ["MC", "MR", "M+", "M−", "MS"];
+// Names of the available memory slots; memory keys act on the selected one
+export const MEMORY_SLOT_NAMES = ["A", "B", "C", "D"];
+
+// Hex digit keys of programmer mode, mapped to the digit they type
+// They get their own values so the "C" digit does not collide with Clear All
+export const HEX_DIGIT_KEYS = {
+  hexA: "A",
+  hexB: "B",
+  hexC: "C",
+  hexD: "D",
+  hexE: "E",
+  hexF: "F",
+};
+
+// Button layouts for each calculator mode, listed in grid order
+// All modes render into the same grid and go through the same click handler;
+// `wide` lists the buttons that span two columns
+export const LAYOUTS = {
+  // Basic: a row of parentheses, 2 rows of operation buttons, then 4 rows of numbers and operators
+  // Uses symbols: ( ) (grouping), % (percent), CE (clear entry), C (clear all), ⌫ (backspace),
+  // ⅟x (reciprocal), x² (square), ²√x (square root), ÷×-+ (basic operations),
+  // "." (decimal separator, labelled with the separator of the locale)
+  basic: {
+    label: "Basic",
+    columns: 4,
+    wide: ["(", ")"],
+    buttons: [
+      "(",
+      ")",
+      "%",
+      "CE",
+      "C",
+      "⌫",
+      "⅟x",
+      "x²",
+      "²√x",
+      "÷",
+      "7",
+      "8",
+      "9",
+      "×",
+      "4",
+      "5",
+      "6",
+      "-",
+      "1",
+      "2",
+      "3",
+      "+",
+      "+/-",
+      "0",
+      ".",
+      "=",
+    ],
+  },
+  // Scientific: 3 rows of functions and constants on top of the basic keys
+  scientific: {
+    label: "Scientific",
+    columns: 5,
+    wide: [],
+    buttons: [
+      "sin",
+      "cos",
+      "tan",
+      "ln",
+      "log",
+      "sin⁻¹",
+      "cos⁻¹",
+      "tan⁻¹",
+      "eˣ",
+      "10ˣ",
+      "π",
+      "e",
+      "xʸ",
+      "n!",
+      "%",
+      "(",
+      ")",
+      "CE",
+      "C",
+      "⌫",
+      "⅟x",
+      "7",
+      "8",
+      "9",
+      "÷",
+      "x²",
+      "4",
+      "5",
+      "6",
+      "×",
+      "²√x",
+      "1",
+      "2",
+      "3",
+      "-",
+      "+/-",
+      "0",
+      ".",
+      "+",
+      "=",
+    ],
+  },
+  // Programmer: bitwise operators, shifts and hex digits around the integer keys
+  programmer: {
+    label: "Programmer",
+    columns: 5,
+    wide: ["="],
+    buttons: [
+      "AND",
+      "OR",
+      "XOR",
+      "NOT",
+      "MOD",
+      "<<",
+      ">>",
+      "CE",
+      "C",
+      "⌫",
+      "hexA",
+      "hexB",
+      "(",
+      ")",
+      "÷",
+      "hexC",
+      "7",
+      "8",
+      "9",
+      "×",
+      "hexD",
+      "4",
+      "5",
+      "6",
+      "-",
+      "hexE",
+      "1",
+      "2",
+      "3",
+      "+",
+      "hexF",
+      "+/-",
+      "0",
+      "=",
+    ],
+  },
+};
+
+// Keys that insert text into the expression (scientific and programmer modes)
+// `continues: true` keys extend a previous result (like operators),
+// the others start a new calculation after a result (like digits)
+const TEXT_INPUTS = {
+  sin: { text: "sin(" },
+  cos: { text: "cos(" },
+  tan: { text: "tan(" },
+  "sin⁻¹": { text: "asin(" },
+  "cos⁻¹": { text: "acos(" },
+  "tan⁻¹": { text: "atan(" },
+  ln: { text: "ln(" },
+  log: { text: "log(" },
+  eˣ: { text: "e^(" },
+  "10ˣ": { text: "10^(" },
+  π: { text: "π" },
+  e: { text: "e" },
+  xʸ: { text: "^", continues: true },
+  "n!": { text: "!", continues: true },
+  AND: { text: " AND ", continues: true },
+  OR: { text: " OR ", continues: true },
+  XOR: { text: " XOR ", continues: true },
+  MOD: { text: " MOD ", continues: true },
+  "<<": { text: " << ", continues: true },
+  ">>": { text: " >> ", continues: true },
+  NOT: { text: "NOT(" },
+};
+
+// Trailing pieces of the expression that backspace removes in one go
+// (function calls like "sin(" and spaced operators like " AND ")
+const BACKSPACE_TOKEN =
+  /(\s(AND|OR|XOR|MOD|<<|>>)\s|(a?sin|a?cos|a?tan|ln|log|NOT)\()$/;
+
+// Operand being entered at the end of the expression, which CE removes:
+// a number (any base), a constant, and a unary minus in front of it ("5×-3" → "5×")
+const OPERAND_TOKEN =
+  /(?:(?<=^|[+\-×÷^(])-)?(?:[0-9A-F]+(?:\.[0-9]*)?|\.[0-9]+|π|e)$/;
+
+// Operators whose right-hand operand "%" turns into a percentage
+const PERCENT_OPERATORS = ["+", "-", "×", "÷"];
+
+/**
+ * Creates the state of a cleared calculator
+ * @param {Array} [history=[]] - History tape to start with (e.g. from loadHistory())
+ * @returns {Object} Calculator state
+ */
+export const createInitialState = (history = []) => ({
+  expression: "", // Expression being built, canonical form
+  previousResult: null, // Value of the last result while it is on screen, null otherwise
+  lastOperation: null, // Operator and operand that a repeated "=" applies again (e.g. "+3")
+  errorMessage: "", // Reason of the last failed calculation
+  history, // History tape, oldest first
+  memory: MEMORY_SLOT_NAMES.map((name) => ({ name, value: null })), // null value = empty slot
+  activeSlot: 0, // Index of the memory slot the memory keys operate on
+  mode: "basic", // "basic", "scientific" or "programmer"
+  angleUnit: "deg", // Unit of the trigonometric functions ("deg" or "rad")
+  radix: 10, // Number base of programmer mode (16, 10, 8 or 2)
+  wordSize: 64, // Word size of programmer mode in bits (64, 32, 16 or 8)
+});
+
+// Fills in the defaults of the reducer options
+const withDefaults = (options = {}) => ({
+  precision: options.precision ?? DEFAULT_PRECISION,
+  roundingMode: options.roundingMode ?? DEFAULT_ROUNDING,
+  numberLocale: options.numberLocale ?? getNumberLocale(),
+});
+
+/**
+ * Evaluates an expression with the settings of the current mode
+ * @param {Object} state - Calculator state
+ * @param {string} text - Canonical expression
+ * @param {Object} options - Reducer options
+ * @returns {Decimal|bigint} BigInt wrapped to the word size in programmer mode, Decimal otherwise
+ * @throws {CalculatorError} When the expression cannot be evaluated
+ */
+export const calculate = (state, text, options) => {
+  const { precision, roundingMode } = withDefaults(options);
+  return evaluateExpression(
+    text,
+    state.mode === "programmer"
+      ? { base: state.radix, wordSize: state.wordSize }
+      : { angleUnit: state.angleUnit, precision, roundingMode }
+  );
+};
+
+/**
+ * Formats a value in canonical form: integers in the current base, numbers as
+ * decimals rounded to the configured precision without trailing zeros
+ * @param {Object} state - Calculator state
+ * @param {Decimal|bigint} value
+ * @param {Object} options - Reducer options
+ * @returns {string} Formatted value
+ */
+export const formatValue = (state, value, options) => {
+  const { precision, roundingMode } = withDefaults(options);
+  return typeof value === "bigint"
+    ? formatInteger(value, state.radix, state.wordSize)
+    : value.round(precision, roundingMode).toString();
+};
+
+// Converts a stored value (e.g. from a memory slot) to the number type of the current mode
+const toModeValue = (state, value) => {
+  if (state.mode === "programmer") {
+    return BigInt.asIntN(
+      state.wordSize,
+      typeof value === "bigint" ? value : value.toBigInt()
+    );
+  }
+  return Decimal.from(value);
+};
+
+// NOT is a prefix operator: right after a number or ")" it has no left-hand
+// operator to follow ("FNOT(" would read as one invalid number)
+const followsOperand = (state) =>
+  state.previousResult === null && /[0-9A-F)]$/.test(state.expression);
+
+/**
+ * Checks whether a key can be used in the current mode and base
+ * @param {Object} state - Calculator state
+ * @param {string} key - Button value, e.g. "7", "sin" or "hexA"
+ * @returns {boolean} True when pressing the key does something
+ */
+export const isKeyEnabled = (state, key) => {
+  const digit = HEX_DIGIT_KEYS[key] ?? (/^[0-9]$/.test(key) ? key : null);
+  if (digit !== null && state.mode === "programmer") {
+    return isDigitInBase(digit, state.radix);
+  }
+  if (key === "NOT" && followsOperand(state)) return false;
+  return (
+    LAYOUTS[state.mode].buttons.includes(key) || MEMORY_BUTTONS.includes(key)
+  );
+};
+
+/**
+ * Splits an expression at its last top-level binary operator
+ * "200+10" → { prefix: "200", operator: "+", suffix: "+10", operand: "10" }
+ * Operators inside parentheses and unary signs are skipped, so the operand of
+ * "2×(1+2)" is "(1+2)" and the one of "5×-3" is "-3"
+ * @param {Object} state - Calculator state (for the number base of programmer mode)
+ * @param {string} expression - Canonical expression
+ * @returns {Object|null} The parts, or null without a complete binary operation
+ */
+const splitLastOperation = (state, expression) => {
+  let tokens;
+  try {
+    tokens = tokenize(
+      expression,
+      state.mode === "programmer"
+        ? { base: state.radix, wordSize: state.wordSize }
+        : {}
+    );
+  } catch {
+    return null;
+  }
+
+  let depth = 0;
+  // The first token can only be a unary sign
+  for (let i = tokens.length - 1; i > 0; i--) {
+    const { type, value, position } = tokens[i];
+    if (type === ")") depth++;
+    if (type === "(") depth--;
+    if (depth !== 0 || type !== "operator" || ["!", "NOT"].includes(value)) {
+      continue;
+    }
+
+    // Binary when it follows a value; otherwise it is a sign ("×-3")
+    const previous = tokens[i - 1];
+    if (
+      ["number", "constant", ")"].includes(previous.type) ||
+      previous.value === "!"
+    ) {
+      // An operator still waiting for its operand ("5+") is no complete operation
+      if (i === tokens.length - 1) return null;
+      const prefix = expression.slice(0, position - 1).trimEnd();
+      const operandStart = tokens[i + 1].position - 1;
+      return {
+        prefix,
+        operator: value,
+        suffix: expression.slice(prefix.length),
+        operand: expression.slice(operandStart),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Puts the calculator into the error state and keeps the reason for display
+ * The position in the reason points at the expression as the screen showed it,
+ * with the locale's separators; it is left out when the failing text was not
+ * the expression on the screen (the operand of a repeated "=", a part of it)
+ * @param {Object} state - Calculator state
+ * @param {Error} error - Error of the calculation
+ * @param {string|null} calculation - Canonical text that was evaluated, null when unknown
+ * @param {Object} options - Reducer options
+ * @returns {Object} Error state
+ */
+const failed = (state, error, calculation, { numberLocale }) => {
+  let errorMessage = "Invalid expression";
+  if (error instanceof CalculatorError) {
+    let { position } = error;
+    if (calculation !== (state.expression || "0")) position = null;
+    // Programmer mode shows the expression as it is, without grouping
+    else if (position !== null && state.mode !== "programmer") {
+      position = localizePosition(calculation, position, numberLocale);
+    }
+    errorMessage =
+      position === null
+        ? error.reason
+        : `${error.reason} at position ${position}`;
+  }
+  return { ...state, expression: "", previousResult: null, errorMessage };
+};
+
+// Replaces the value of the selected memory slot
+const storeInSlot = (state, value) => ({
+  ...state,
+  memory: state.memory.map((slot, idx) =>
+    idx === state.activeSlot ? { ...slot, value } : slot
+  ),
+});
+
+// Advanced mathematical operations that work on the value of the current expression
+// Each one throws a CalculatorError when the operation is not defined for the value
+// Values are Decimals; only +/- is offered in programmer mode, where they are BigInts
+const MATH_OPERATIONS = {
+  // Percentage: Convert number to percentage (divide by 100)
+  "%": (num) => num.times("0.01"),
+  // Plus/Minus: Toggle sign of current number
+  "+/-": (num) => (typeof num === "bigint" ? -num : num.negated()),
+  // Reciprocal: Calculate 1/x (handles division by zero)
+  "⅟x": (num, { precision, roundingMode }) => {
+    if (num.isZero()) {
+      throw new CalculatorError("DIVISION_BY_ZERO", "Cannot divide by zero");
+    }
+    return new Decimal(1n).dividedBy(num, precision, roundingMode);
+  },
+  // Square: Calculate x²
+  "x²": (num) => num.times(num),
+  // Square root: Calculate √x (handles negative numbers)
+  "²√x": (num, { precision, roundingMode }) => {
+    if (num.isNegative()) {
+      throw new CalculatorError(
+        "INVALID_INPUT",
+        "Square root of a negative number"
+      );
+    }
+    return num.sqrt(precision, roundingMode);
+  },
+};
+
+/**
+ * Applies a button press to the state
+ * @param {Object} state - Calculator state
+ * @param {string} val - Button value
+ * @param {Object} options - Reducer options with defaults filled in
+ * @returns {Object} Next state
+ */
+const pressKey = (state, val, options) => {
+  // Any new input dismisses the reason of a previous failure;
+  // only a "=" right after another one repeats the last operation
+  state = {
+    ...state,
+    errorMessage: "",
+    lastOperation: val === "=" ? state.lastOperation : null,
+  };
+  const { expression, previousResult } = state;
+  // The user typed: the expression changes and no result is on screen any more
+  const typed = (newExp) => ({
+    ...state,
+    expression: newExp,
+    previousResult: null,
+  });
+
+  // Clear All: Reset calculator to initial state
+  if (val === "C") return typed("");
+
+  // Equals: Evaluate the current expression and display result
+  // Pressed again on a result, it applies the last operator and operand once more
+  // (5 + 3 = 8, = 11, = 14)
+  if (val === "=") {
+    const repeating = previousResult !== null && state.lastOperation !== null;
+    // A negative result is bracketed so "-2" "^2" stays (-2)^2
+    const calculation = repeating
+      ? (expression.startsWith("-") ? `(${expression})` : expression) +
+        state.lastOperation
+      : expression;
+    if (!calculation.trim()) return state;
+
+    try {
+      const result = calculate(state, calculation, options);
+      const formattedResult = formatValue(state, result, options);
+      return {
+        ...state,
+        // Record the calculation on the history tape before the expression is replaced
+        history: [
+          ...state.history,
+          createHistoryEntry(calculation, formattedResult, state),
+        ],
+        expression: formattedResult,
+        previousResult: result,
+        lastOperation: repeating
+          ? state.lastOperation
+          : (splitLastOperation(state, expression)?.suffix ?? null),
+      };
+    } catch (error) {
+      // Handle calculation errors (division by zero, syntax errors, etc.)
+      return failed(state, error, calculation, options);
+    }
+  }
+
+  // Backspace: Remove last character or clear if showing result
+  if (val === "⌫") {
+    // If showing a calculation result, or only one character is left, clear everything
+    if (previousResult !== null || expression.length <= 1) return typed("");
+    // Remove the last character (or a whole function name / word operator) from expression
+    return typed(
+      BACKSPACE_TOKEN.test(expression)
+        ? expression.replace(BACKSPACE_TOKEN, "")
+        : expression.slice(0, -1)
+    );
+  }
+
+  // Clear Entry: Clear only the operand being entered ("12+34" → "12+")
+  // A result on screen is cleared completely
+  if (val === "CE") {
+    return typed(
+      previousResult !== null ? "" : expression.replace(OPERAND_TOKEN, "")
+    );
+  }
+
+  // Percent of what comes before: "200+10%" → "200+20" (10% of 200),
+  // "200×10%" → "200×0.1"; on its own the value is divided by 100
+  if (val === "%" && previousResult === null) {
+    const split = splitLastOperation(state, expression);
+    if (split && PERCENT_OPERATORS.includes(split.operator)) {
+      try {
+        const percent = calculate(state, split.operand, options).times("0.01");
+        const value = ["+", "-"].includes(split.operator)
+          ? calculate(state, split.prefix, options).times(percent)
+          : percent;
+        return typed(
+          expression.slice(0, -split.operand.length) +
+            formatValue(state, value, options)
+        );
+      } catch (error) {
+        // Either part may have failed, so there is no position to point at
+        return failed(state, error, null, options);
+      }
+    }
+  }
+
+  // Decimal point handling (stored as "." whatever separator the locale shows)
+  if (val === ".") {
+    // If showing a result, start new decimal number
+    if (previousResult !== null) return typed("0.");
+
+    // Prevent multiple decimal points in the same number: the digits and point
+    // at the end, whatever operator comes before them ("2.5^3" → "3")
+    const [currentNumber] = /[\d.]*$/.exec(expression);
+    if (currentNumber.includes(".")) return state;
+
+    // If expression is empty or ends with operator or parenthesis, start with "0."
+    if (!expression || /[+\-×÷^()]$/.test(expression)) {
+      return typed(expression + "0.");
+    }
+
+    // Add decimal point to existing number
+    return typed(expression + ".");
+  }
+
+  // Hex digits (programmer mode) are typed like the decimal digits
+  if (HEX_DIGIT_KEYS[val]) {
+    const digit = HEX_DIGIT_KEYS[val];
+    return typed(previousResult !== null ? digit : expression + digit);
+  }
+
+  // Memory operations on the selected slot
+  if (MEMORY_BUTTONS.includes(val)) {
+    const slotValue = state.memory[state.activeSlot].value;
+
+    // Memory Clear: empty the selected slot
+    if (val === "MC") return storeInSlot(state, null);
+
+    // Memory Recall: insert the stored value into the expression
+    if (val === "MR") {
+      if (slotValue === null) return state;
+      const recalled = formatValue(
+        state,
+        toModeValue(state, slotValue),
+        options
+      );
+      // Append after an operator or "(", otherwise replace the current entry
+      return typed(
+        previousResult === null && /[+\-×÷^(]$/.test(expression)
+          ? expression + recalled
+          : recalled
+      );
+    }
+
+    // MS, M+ and M− need the value of the current expression
+    try {
+      const value = calculate(state, expression || "0", options);
+      if (val === "MS") return storeInSlot(state, value);
+      const stored = toModeValue(state, slotValue ?? 0n);
+      const negate = val === "M−";
+      // BigInt in programmer mode, Decimal otherwise
+      return storeInSlot(
+        state,
+        typeof stored === "bigint"
+          ? toModeValue(state, negate ? stored - value : stored + value)
+          : stored.plus(negate ? value.negated() : value)
+      );
+    } catch (error) {
+      return failed(state, error, expression || "0", options);
+    }
+  }
+
+  // Execute mathematical operation if button matches one
+  if (MATH_OPERATIONS[val]) {
+    try {
+      const value = MATH_OPERATIONS[val](
+        calculate(state, expression || "0", options),
+        options
+      );
+      // Operation successful: show the value and set it as new result
+      const result = formatValue(
+        state,
+        typeof value === "bigint" ? toModeValue(state, value) : value,
+        options
+      );
+      return { ...state, expression: result, previousResult: value };
+    } catch (error) {
+      // Operation failed (e.g., division by zero, square root of negative): show error
+      return failed(state, error, expression || "0", options);
+    }
+  }
+
+  // Scientific functions, constants, powers and factorials; programmer operators
+  if (TEXT_INPUTS[val]) {
+    if (val === "NOT" && followsOperand(state)) return state;
+    const { text, continues } = TEXT_INPUTS[val];
+    // After a result, x^y and n! apply to it; functions and constants start over
+    const base = previousResult !== null && !continues ? "" : expression;
+    return typed(base + text);
+  }
+
+  // Opening parenthesis after a result starts a new calculation
+  if (val === "(" && previousResult !== null) return typed(val);
+
+  // Closing parenthesis is only accepted when there is one left open
+  if (val === ")") {
+    const opened = (expression.match(/\(/g) || []).length;
+    const closed = (expression.match(/\)/g) || []).length;
+    if (previousResult !== null || opened <= closed) return state;
+  }
+
+  // Number input when showing a calculation result starts a fresh calculation
+  if (previousResult !== null && /[0-9]/.test(val)) return typed(val);
+
+  // Handle basic arithmetic operators (+, -, ×, ÷)
+  if (["+", "-", "×", "÷"].includes(val)) {
+    // Continue calculation using the previous result
+    if (previousResult !== null) return typed(expression + val);
+
+    // Allow a unary minus after ×, ÷ or ^ (e.g. "5×-3") and after "("
+    const lastChar = expression.slice(-1);
+    if (val === "-" && ["×", "÷", "^", "("].includes(lastChar)) {
+      return typed(expression + val);
+    }
+
+    // Replace last operator if user presses a different operator consecutively
+    if (["+", "-", "×", "÷"].includes(lastChar)) {
+      return typed(expression.slice(0, -1) + val);
+    }
+  }
+
+  // Handle general number and operator input (fallback case)
+  // If starting fresh with a number, use just the number; otherwise append to expression
+  return typed(expression === "" && /[0-9]/.test(val) ? val : expression + val);
+};
+
+/**
+ * Calculator reducer: returns the state after an action, never mutates
+ *
+ * Actions:
+ *   { type: "press", key }       - Button press; key is a button value ("7", "+", "sin", "MS", ...)
+ *   { type: "paste", text }      - Text in any separator convention, added to the expression
+ *   { type: "recall", entry }    - Loads a history entry back for editing
+ *   { type: "clearHistory" }     - Empties the history tape
+ *   { type: "selectSlot", index } - Selects the memory slot the memory keys act on
+ *   { type: "setMode", mode }    - "basic", "scientific" or "programmer"
+ *   { type: "toggleAngleUnit" }  - Switches between degrees and radians
+ *   { type: "setRadix", radix }  - Number base of programmer mode; typed numbers are converted
+ *   { type: "setWordSize", wordSize } - Word size of programmer mode in bits
+ *
+ * @param {Object} state - Calculator state (see createInitialState)
+ * @param {Object} action - One of the actions above
+ * @param {Object} [options]
+ * @param {number} [options.precision=10] - Fraction digits kept in results
+ * @param {string} [options.roundingMode="half-up"] - One of ROUNDING_MODES in utils/decimal.js
+ * @param {Object} [options.numberLocale] - Result of getNumberLocale(), breaks ties when pasting
+ * @returns {Object} Next state
+ */
+export const calculatorReducer = (state, action, options) => {
+  const settings = withDefaults(options);
+
+  switch (action.type) {
+    case "press":
+      return pressKey(state, action.key, settings);
+
+    case "paste": {
+      const text = normalizePastedText(action.text, settings.numberLocale);
+      if (!text) return state;
+      // After a result, an operator continues from it; anything else starts over
+      const base =
+        state.previousResult === null || /^[+\-×÷*/^]/.test(text)
+          ? state.expression
+          : "";
+      return {
+        ...state,
+        expression: base + text,
+        previousResult: null,
+        errorMessage: "",
+      };
+    }
+
+    case "recall": {
+      // The expression is read with the settings it was calculated with
+      // ("FF AND F" only means something in hex); entries saved before the
+      // settings were recorded keep the current ones
+      const {
+        expression,
+        mode = state.mode,
+        radix = state.radix,
+        wordSize = state.wordSize,
+      } = action.entry;
+      return {
+        ...state,
+        expression,
+        mode,
+        radix,
+        wordSize,
+        previousResult: null,
+        errorMessage: "",
+      };
+    }
+
+    case "clearHistory":
+      return { ...state, history: [] };
+
+    case "selectSlot":
+      return { ...state, activeSlot: action.index };
+
+    case "setMode": {
+      // Programmer mode uses a different number type, so entering or leaving it
+      // starts from a cleared calculator
+      const switchesType =
+        action.mode === "programmer" || state.mode === "programmer";
+      return switchesType
+        ? {
+            ...state,
+            mode: action.mode,
+            expression: "",
+            previousResult: null,
+            errorMessage: "",
+            lastOperation: null,
+          }
+        : { ...state, mode: action.mode };
+    }
+
+    case "toggleAngleUnit":
+      return { ...state, angleUnit: state.angleUnit === "deg" ? "rad" : "deg" };
+
+    case "setRadix":
+      // Rewrite the numbers already typed into the new base
+      return {
+        ...state,
+        expression: convertNumerals(
+          state.expression,
+          state.radix,
+          action.radix,
+          state.wordSize
+        ),
+        radix: action.radix,
+        // The operand of a repeated "=" was typed in the old base
+        lastOperation: null,
+      };
+
+    case "setWordSize":
+      return { ...state, wordSize: action.wordSize };
+
+    default:
+      throw new Error(`Unknown calculator action "${action.type}"`);
+  }
+};
+
+/**
+ * Value of the current expression in programmer mode, shown in all four bases
+ * While the expression is incomplete (e.g. "12 AND "), the last number typed is used
+ * @param {Object} state - Calculator state
+ * @returns {bigint|null} Value, or null outside programmer mode
+ */
+export const getProgrammerValue = (state) => {
+  if (state.mode !== "programmer") return null;
+  try {
+    return calculate(state, state.expression || "0");
+  } catch {
+    const lastNumber = state.expression.match(/[0-9A-F]+$/);
+    try {
+      return lastNumber ? calculate(state, lastNumber[0]) : 0n;
+    } catch {
+      return 0n;
+    }
+  }
+};
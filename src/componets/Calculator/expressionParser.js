@@ -0,0 +1,748 @@
+// Expression engine for the Calculator component
+// Turns the text on the calculator screen into a number in three steps:
+// 1. tokenize - split the string into numbers, names, operators and parentheses
+// 2. parse    - build a syntax tree that respects operator precedence
+// 3. evaluate - walk the tree and compute the result
+// Every failure is reported as a CalculatorError carrying the 1-based
+// position in the expression, so the screen can explain what went wrong.
+//
+// Numbers are exact Decimals: + - × are exact, division keeps `precision`
+// fraction digits (plus a few guard digits while the expression is still
+// being evaluated) and the final result is rounded with `roundingMode`.
+// Trigonometry, logarithms and fractional powers go through floats.
+//
+// Passing a `wordSize` option switches the engine to integer mode (programmer
+// calculator): numbers are BigInts read in the given `base`, the bitwise
+// operators become available and every result wraps to the word size using
+// two's-complement arithmetic.
+
+// Arbitrary-precision decimal arithmetic
+import {
+  Decimal,
+  DEFAULT_PRECISION,
+  DEFAULT_ROUNDING,
+} from "../../utils/decimal";
+
+// Operator symbols accepted by the tokenizer, mapped to their canonical form
+// The calculator buttons use ÷ and ×, the keyboard may produce / and *
+const OPERATORS = {
+  "+": "+",
+  "-": "-",
+  "−": "-",
+  "×": "×",
+  "*": "×",
+  "÷": "÷",
+  "/": "÷",
+  "^": "^",
+  "!": "!",
+};
+
+// Word operators of integer mode, written in upper case in the expression
+export const WORD_OPERATORS = ["AND", "OR", "XOR", "NOT", "MOD"];
+
+// Shift operators of integer mode
+const SHIFT_OPERATORS = ["<<", ">>"];
+
+// Valid digits for each number base in integer mode
+const BASE_DIGITS = {
+  2: /^[01]+$/,
+  8: /^[0-7]+$/,
+  10: /^[0-9]+$/,
+  16: /^[0-9A-F]+$/,
+};
+
+// BigInt literal prefixes for each number base
+const BASE_PREFIXES = { 2: "0b", 8: "0o", 10: "", 16: "0x" };
+
+// Named constants that may appear in an expression (to 30 decimal places)
+const PI = Decimal.from("3.141592653589793238462643383280");
+const E = Decimal.from("2.718281828459045235360287471353");
+const CONSTANTS = {
+  π: PI,
+  pi: PI,
+  e: E,
+};
+
+// Extra fraction digits carried by intermediate results, so that e.g.
+// 1 ÷ 3 × 3 rounds back to exactly 1 at the requested precision
+const GUARD_DIGITS = 5;
+
+// Largest number of integer digits a power may produce before it is refused
+const MAX_DIGITS = 10000;
+
+// Multipliers converting an angle in the given unit to radians
+const TO_RADIANS = {
+  deg: Math.PI / 180,
+  rad: 1,
+};
+
+// Throws a domain error for a function argument outside its valid range
+const domainError = (message, position) => {
+  throw new CalculatorError("DOMAIN_ERROR", message, position);
+};
+
+// Functions callable as name(argument)
+// Each receives the argument as a float, the evaluation options and the position of the call
+const FUNCTIONS = {
+  sin: (x, { angleUnit }) => Math.sin(x * TO_RADIANS[angleUnit]),
+  cos: (x, { angleUnit }) => Math.cos(x * TO_RADIANS[angleUnit]),
+  tan: (x, { angleUnit }, position) => {
+    // tan is undefined at odd multiples of 90°; floats never hit π/2 exactly in radians
+    if (angleUnit === "deg" && Math.abs(x % 180) === 90) {
+      domainError("Tangent is undefined for this angle", position);
+    }
+    return Math.tan(x * TO_RADIANS[angleUnit]);
+  },
+  asin: (x, { angleUnit }, position) => {
+    if (x < -1 || x > 1)
+      domainError("Arcsine needs a value from -1 to 1", position);
+    return Math.asin(x) / TO_RADIANS[angleUnit];
+  },
+  acos: (x, { angleUnit }, position) => {
+    if (x < -1 || x > 1)
+      domainError("Arccosine needs a value from -1 to 1", position);
+    return Math.acos(x) / TO_RADIANS[angleUnit];
+  },
+  atan: (x, { angleUnit }) => Math.atan(x) / TO_RADIANS[angleUnit],
+  ln: (x, options, position) => {
+    if (x <= 0) domainError("Logarithm needs a positive value", position);
+    return Math.log(x);
+  },
+  log: (x, options, position) => {
+    if (x <= 0) domainError("Logarithm needs a positive value", position);
+    return Math.log10(x);
+  },
+};
+
+// Largest n accepted by the factorial (1000! already has 2568 digits)
+const MAX_FACTORIAL = 1000;
+
+/**
+ * Computes n! exactly for a non-negative integer n
+ * @param {Decimal} n - Operand
+ * @param {number} position - Position of the "!" for error reporting
+ * @returns {Decimal} Factorial of n
+ */
+const factorial = (n, position) => {
+  if (!n.isInteger() || n.isNegative()) {
+    domainError("Factorial needs a non-negative whole number", position);
+  }
+  if (n.compare(MAX_FACTORIAL) > 0) {
+    throw new CalculatorError("OVERFLOW", "Result is too large", position);
+  }
+  let result = 1n;
+  for (let i = 2n; i <= n.toBigInt(); i++) result *= i;
+  return new Decimal(result);
+};
+
+/**
+ * Error raised for any invalid or non-computable expression
+ * `code` is a stable identifier, `position` is 1-based (null when unknown),
+ * `reason` is the message without the position
+ */
+export class CalculatorError extends Error {
+  constructor(code, message, position = null) {
+    super(position === null ? message : `${message} at position ${position}`);
+    this.name = "CalculatorError";
+    this.reason = message;
+    this.code = code;
+    this.position = position;
+  }
+}
+
+/**
+ * Reads the integer-mode token starting at `start`: a word operator or a number
+ * @param {string} input - Whole expression
+ * @param {number} start - Index of the first character of the token
+ * @param {number} base - Number base the digits are written in
+ * @returns {{token: Object, end: number}} Token and index just past it
+ */
+const readIntegerWord = (input, start, base) => {
+  let end = start;
+  while (end < input.length && /[0-9a-z]/i.test(input[end])) end++;
+  const word = input.slice(start, end).toUpperCase();
+
+  if (WORD_OPERATORS.includes(word)) {
+    return {
+      token: { type: "operator", value: word, position: start + 1 },
+      end,
+    };
+  }
+
+  if (!BASE_DIGITS[base].test(word)) {
+    throw new CalculatorError(
+      "INVALID_NUMBER",
+      `Invalid base-${base} number "${word}"`,
+      start + 1
+    );
+  }
+
+  return {
+    token: {
+      type: "number",
+      value: BigInt(BASE_PREFIXES[base] + word),
+      position: start + 1,
+    },
+    end,
+  };
+};
+
+// Every name an expression may contain, longest first so "asin" wins over "a..."
+const NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort(
+  (a, b) => b.length - a.length
+);
+
+/**
+ * Reads the function or constant name starting at `start`
+ * Names may follow each other without an operator ("πe", "esin(30)"), so the
+ * longest known name is taken and the rest of the letters are read as the next
+ * token, which implicit multiplication then joins
+ * @param {string} input - Whole expression
+ * @param {number} start - Index of the first letter of the name
+ * @returns {{token: Object, end: number}} Token and index just past it
+ */
+const readName = (input, start) => {
+  const rest = input.slice(start).toLowerCase();
+  const name = NAMES.find((candidate) => rest.startsWith(candidate));
+  if (name === undefined) {
+    const [run] = rest.match(/^[a-zπ]+/);
+    throw new CalculatorError(
+      "UNKNOWN_NAME",
+      `Unknown function or constant "${run}"`,
+      start + 1
+    );
+  }
+  return {
+    token: {
+      type: FUNCTIONS[name] ? "function" : "constant",
+      value: name,
+      position: start + 1,
+    },
+    end: start + name.length,
+  };
+};
+
+/**
+ * Splits an expression string into tokens
+ * @param {string} input - Expression as typed on the calculator
+ * @param {Object} [options]
+ * @param {number} [options.wordSize] - Enables integer mode when set
+ * @param {2|8|10|16} [options.base=10] - Number base of integer mode
+ * @returns {Array<{type: string, value: *, position: number}>} Token list
+ */
+export const tokenize = (input, options = {}) => {
+  const { wordSize, base = 10 } = options;
+  const integerMode = wordSize !== undefined;
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    // Whitespace carries no meaning
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (integerMode) {
+      // Numbers and word operators ("FF", "AND", ...)
+      if (/[0-9a-z]/i.test(char)) {
+        const { token, end } = readIntegerWord(input, index, base);
+        tokens.push(token);
+        index = end;
+        continue;
+      }
+
+      // Shift operators
+      const pair = input.slice(index, index + 2);
+      if (SHIFT_OPERATORS.includes(pair)) {
+        tokens.push({ type: "operator", value: pair, position: index + 1 });
+        index += 2;
+        continue;
+      }
+
+      // Fractions, powers and factorials have no meaning for fixed-width integers
+      if (/[.,^!]/.test(char)) {
+        throw new CalculatorError(
+          "UNSUPPORTED_OPERATION",
+          `"${char}" is not available in programmer mode`,
+          index + 1
+        );
+      }
+    }
+
+    // Numbers: digits with at most one decimal separator ("," or ".")
+    if (/[\d.,]/.test(char)) {
+      const start = index;
+      while (index < input.length && /[\d.,]/.test(input[index])) index++;
+      const raw = input.slice(start, index);
+      const normalized = raw.replace(/,/g, ".");
+      if (!/^(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+        throw new CalculatorError(
+          "INVALID_NUMBER",
+          `Invalid number "${raw}"`,
+          start + 1
+        );
+      }
+      tokens.push({
+        type: "number",
+        value: Decimal.from(normalized),
+        position: start + 1,
+      });
+      continue;
+    }
+
+    // Names: function names ("sin", "log", ...) and constants ("π", "e")
+    if (/[a-zπ]/i.test(char)) {
+      const { token, end } = readName(input, index);
+      tokens.push(token);
+      index = end;
+      continue;
+    }
+
+    if (OPERATORS[char]) {
+      tokens.push({
+        type: "operator",
+        value: OPERATORS[char],
+        position: index + 1,
+      });
+      index++;
+      continue;
+    }
+
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char, value: char, position: index + 1 });
+      index++;
+      continue;
+    }
+
+    throw new CalculatorError(
+      "UNEXPECTED_CHARACTER",
+      `Unexpected character "${char}"`,
+      index + 1
+    );
+  }
+
+  return tokens;
+};
+
+/**
+ * Builds a syntax tree from a token list (recursive descent)
+ *
+ * Grammar, lowest precedence first:
+ *   expression := xor ("OR" xor)*
+ *   xor        := and ("XOR" and)*
+ *   and        := shift ("AND" shift)*
+ *   shift      := additive (("<<" | ">>") additive)*
+ *   additive   := term (("+" | "-") term)*
+ *   term       := unary (("×" | "÷" | "MOD") unary | implicit unary)*
+ *   unary      := ("+" | "-" | "NOT") unary | power
+ *   power      := postfix ("^" unary)?
+ *   postfix    := primary "!"*
+ *   primary    := number | constant | function "(" expression ")"
+ *               | "(" expression ")"
+ *
+ * The bitwise levels follow C precedence; their operators are only produced
+ * by the tokenizer in integer mode, so they never appear in other modes.
+ * Powers are right-associative and bind tighter than a leading minus,
+ * so "2^3^2" is 2^9 and "-2^2" is -4.
+ * Implicit multiplication applies when a number, constant, function or "("
+ * directly follows a complete operand, e.g. "2(3+4)", "2π" or "(1+1)(2+2)".
+ *
+ * @param {Array} tokens - Output of tokenize()
+ * @returns {Object} Root node of the syntax tree
+ */
+export const parse = (tokens) => {
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const endPosition = () => {
+    const last = tokens[tokens.length - 1];
+    return last ? last.position + 1 : 1;
+  };
+
+  const isOperator = (token, ...values) =>
+    token?.type === "operator" && values.includes(token.value);
+
+  // Parses a left-associative chain of binary operators of one precedence level
+  const parseBinaryLevel = (parseOperand, operators) => {
+    let node = parseOperand();
+    while (isOperator(peek(), ...operators)) {
+      const operator = tokens[current++];
+      node = {
+        type: "binary",
+        operator: operator.value,
+        left: node,
+        right: parseOperand(),
+        position: operator.position,
+      };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => parseBinaryLevel(parseTerm, ["+", "-"]);
+  const parseShift = () => parseBinaryLevel(parseAdditive, SHIFT_OPERATORS);
+  const parseAnd = () => parseBinaryLevel(parseShift, ["AND"]);
+  const parseXor = () => parseBinaryLevel(parseAnd, ["XOR"]);
+  const parseExpression = () => parseBinaryLevel(parseXor, ["OR"]);
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (isOperator(token, "×", "÷", "MOD")) {
+        current++;
+        node = {
+          type: "binary",
+          operator: token.value,
+          left: node,
+          right: parseUnary(),
+          position: token.position,
+        };
+      } else if (
+        ["number", "constant", "function", "("].includes(token?.type)
+      ) {
+        // Implicit multiplication: "2(3)" behaves like "2×(3)"
+        node = {
+          type: "binary",
+          operator: "×",
+          left: node,
+          right: parseUnary(),
+          position: token.position,
+        };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator(token, "+", "-", "NOT")) {
+      current++;
+      return {
+        type: "unary",
+        operator: token.value,
+        operand: parseUnary(),
+        position: token.position,
+      };
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    const token = peek();
+    if (isOperator(token, "^")) {
+      current++;
+      return {
+        type: "binary",
+        operator: "^",
+        left: base,
+        // Exponent goes back through unary so "2^-1" and "2^3^2" work
+        right: parseUnary(),
+        position: token.position,
+      };
+    }
+    return base;
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOperator(peek(), "!")) {
+      const token = tokens[current++];
+      node = {
+        type: "factorial",
+        operand: node,
+        position: token.position,
+      };
+    }
+    return node;
+  };
+
+  // Parses "(" expression ")" after the opening parenthesis has been consumed
+  const parseGroup = (opening) => {
+    const inner = parseExpression();
+    if (peek()?.type !== ")") {
+      throw new CalculatorError(
+        "MISSING_PARENTHESIS",
+        "Unclosed parenthesis",
+        opening.position
+      );
+    }
+    current++;
+    return inner;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (!token) {
+      throw new CalculatorError(
+        "UNEXPECTED_END",
+        "Unexpected end of expression",
+        endPosition()
+      );
+    }
+
+    if (token.type === "number") {
+      current++;
+      return { type: "number", value: token.value, position: token.position };
+    }
+
+    if (token.type === "constant") {
+      current++;
+      return {
+        type: "number",
+        value: CONSTANTS[token.value],
+        position: token.position,
+      };
+    }
+
+    if (token.type === "function") {
+      current++;
+      const opening = peek();
+      if (opening?.type !== "(") {
+        throw new CalculatorError(
+          "MISSING_PARENTHESIS",
+          `"${token.value}" must be followed by "("`,
+          token.position
+        );
+      }
+      current++;
+      return {
+        type: "call",
+        name: token.value,
+        argument: parseGroup(opening),
+        position: token.position,
+      };
+    }
+
+    if (token.type === "(") {
+      current++;
+      return parseGroup(token);
+    }
+
+    throw new CalculatorError(
+      "UNEXPECTED_TOKEN",
+      `Unexpected "${token.value}"`,
+      token.position
+    );
+  };
+
+  if (tokens.length === 0) {
+    throw new CalculatorError("EMPTY_EXPRESSION", "Nothing to calculate");
+  }
+
+  const tree = parseExpression();
+
+  // Anything left over (e.g. a stray ")") is a syntax error
+  if (current < tokens.length) {
+    const token = tokens[current];
+    throw new CalculatorError(
+      "UNEXPECTED_TOKEN",
+      `Unexpected "${token.value}"`,
+      token.position
+    );
+  }
+
+  return tree;
+};
+
+// Converts a float result (trigonometry, logarithms, ...) back to a Decimal,
+// rejecting NaN and infinite values with a positioned error
+const fromFloat = (value, position) => {
+  if (Number.isNaN(value)) {
+    domainError("Result is not a real number", position);
+  }
+  if (!Number.isFinite(value)) {
+    throw new CalculatorError("OVERFLOW", "Result is too large", position);
+  }
+  return Decimal.from(value);
+};
+
+// Throws the error reported for a division by zero
+const divisionByZero = (position) => {
+  throw new CalculatorError("DIVISION_BY_ZERO", "Division by zero", position);
+};
+
+/**
+ * Raises a Decimal to a Decimal power
+ * Whole exponents are computed exactly; fractional ones go through floats
+ * @param {Decimal} base
+ * @param {Decimal} exponent
+ * @param {Object} settings - Evaluation settings (precision, roundingMode)
+ * @param {number} position - Position of the "^" for error reporting
+ * @returns {Decimal}
+ */
+const power = (base, exponent, settings, position) => {
+  if (base.isZero() && exponent.isNegative()) divisionByZero(position);
+
+  if (!exponent.isInteger()) {
+    return fromFloat(base.toNumber() ** exponent.toNumber(), position);
+  }
+
+  // Refuse results too long to compute or display before computing them
+  const n = Number(exponent.toBigInt());
+  if (!base.isZero() && base.integerDigits() * Math.abs(n) > MAX_DIGITS) {
+    throw new CalculatorError("OVERFLOW", "Result is too large", position);
+  }
+  return base.pow(n, settings.precision + GUARD_DIGITS, settings.roundingMode);
+};
+
+/**
+ * Computes the value of an integer-mode syntax tree
+ * Every intermediate result is wrapped to `wordSize` bits (two's complement)
+ * @param {Object} node - Syntax tree node
+ * @param {number} wordSize - Word size in bits
+ * @returns {bigint} Signed result
+ */
+const evaluateInteger = (node, wordSize) => {
+  const wrap = (value) => BigInt.asIntN(wordSize, value);
+
+  if (node.type === "number") return wrap(node.value);
+
+  if (node.type === "unary") {
+    const operand = evaluateInteger(node.operand, wordSize);
+    if (node.operator === "-") return wrap(-operand);
+    if (node.operator === "NOT") return wrap(~operand);
+    return operand;
+  }
+
+  const left = evaluateInteger(node.left, wordSize);
+  const right = evaluateInteger(node.right, wordSize);
+  const size = BigInt(wordSize);
+
+  switch (node.operator) {
+    case "+":
+      return wrap(left + right);
+    case "-":
+      return wrap(left - right);
+    case "×":
+      return wrap(left * right);
+    case "÷":
+    case "MOD":
+      if (right === 0n) divisionByZero(node.position);
+      // BigInt division truncates toward zero, like integer division in C
+      return wrap(node.operator === "÷" ? left / right : left % right);
+    case "AND":
+      return wrap(left & right);
+    case "OR":
+      return wrap(left | right);
+    case "XOR":
+      return wrap(left ^ right);
+    case "<<":
+    case ">>":
+      if (right < 0n) {
+        throw new CalculatorError(
+          "DOMAIN_ERROR",
+          "Shift amount cannot be negative",
+          node.position
+        );
+      }
+      // Shifting by the word size or more pushes every bit out
+      if (node.operator === "<<") {
+        return right >= size ? 0n : wrap(left << right);
+      }
+      // Right shift is arithmetic: the sign bit is copied in from the left
+      return right >= size ? (left < 0n ? -1n : 0n) : left >> right;
+    default:
+      throw new CalculatorError(
+        "UNKNOWN_OPERATOR",
+        `Unknown operator "${node.operator}"`,
+        node.position
+      );
+  }
+};
+
+/**
+ * Computes the value of a decimal-mode syntax tree, without the final rounding
+ * @param {Object} node - Syntax tree node
+ * @param {Object} settings - angleUnit, precision and roundingMode
+ * @returns {Decimal} Result carrying the guard digits
+ */
+const evaluateDecimal = (node, settings) => {
+  if (node.type === "number") return node.value;
+
+  if (node.type === "unary") {
+    const operand = evaluateDecimal(node.operand, settings);
+    return node.operator === "-" ? operand.negated() : operand;
+  }
+
+  if (node.type === "factorial") {
+    return factorial(evaluateDecimal(node.operand, settings), node.position);
+  }
+
+  if (node.type === "call") {
+    const argument = evaluateDecimal(node.argument, settings).toNumber();
+    return fromFloat(
+      FUNCTIONS[node.name](argument, settings, node.position),
+      node.position
+    );
+  }
+
+  const left = evaluateDecimal(node.left, settings);
+  const right = evaluateDecimal(node.right, settings);
+
+  switch (node.operator) {
+    case "+":
+      return left.plus(right);
+    case "-":
+      return left.minus(right);
+    case "×":
+      return left.times(right);
+    case "÷":
+      if (right.isZero()) divisionByZero(node.position);
+      return left.dividedBy(
+        right,
+        settings.precision + GUARD_DIGITS,
+        settings.roundingMode
+      );
+    case "^":
+      return power(left, right, settings, node.position);
+    default:
+      throw new CalculatorError(
+        "UNKNOWN_OPERATOR",
+        `Unknown operator "${node.operator}"`,
+        node.position
+      );
+  }
+};
+
+/**
+ * Computes the value of a syntax tree produced by parse()
+ * @param {Object} node - Syntax tree node
+ * @param {Object} [options]
+ * @param {"deg"|"rad"} [options.angleUnit="rad"] - Unit used by trigonometric functions
+ * @param {number} [options.precision=DEFAULT_PRECISION] - Fraction digits of the result
+ * @param {string} [options.roundingMode=DEFAULT_ROUNDING] - One of ROUNDING_MODES (see utils/decimal.js)
+ * @param {number} [options.wordSize] - Enables integer mode with this many bits
+ * @returns {Decimal|bigint} Exact result (a BigInt in integer mode)
+ */
+export const evaluate = (node, options = {}) => {
+  if (options.wordSize !== undefined) {
+    return evaluateInteger(node, options.wordSize);
+  }
+
+  const settings = {
+    angleUnit: "rad",
+    precision: DEFAULT_PRECISION,
+    roundingMode: DEFAULT_ROUNDING,
+    ...options,
+  };
+  return evaluateDecimal(node, settings).round(
+    settings.precision,
+    settings.roundingMode
+  );
+};
+
+/**
+ * Convenience wrapper: tokenize, parse and evaluate in one call
+ * @param {string} input - Expression as typed on the calculator
+ * @param {Object} [options] - Evaluation options, see evaluate()
+ * @returns {Decimal|bigint} Result of the expression
+ * @throws {CalculatorError} When the expression is invalid or not computable
+ */
+export const evaluateExpression = (input, options) =>
+  evaluate(parse(tokenize(input, options)), options);
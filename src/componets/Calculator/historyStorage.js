@@ -0,0 +1,93 @@
+// History tape helpers for the Calculator component
+// Keeps evaluated calculations in localStorage and exports them as CSV or plain text
+
+// CSV field quoting shared with the other exports
+import { escapeCsv } from "../../utils/download";
+
+// localStorage key under which the history tape is saved
+const STORAGE_KEY = "calculator-history";
+// Upper bound on stored entries so localStorage never fills up
+const MAX_ENTRIES = 1000;
+
+/**
+ * Reads the saved history tape
+ * @returns {Array<{id: string, expression: string, result: string, timestamp: number, mode?: string, radix?: number, wordSize?: number}>}
+ *   Entries in the order they were calculated (oldest first); entries saved
+ *   before the settings were recorded have no mode, radix or word size
+ */
+export const loadHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    // Corrupted or unavailable storage: start with an empty tape
+    return [];
+  }
+};
+
+/**
+ * Saves the history tape, dropping the oldest entries beyond MAX_ENTRIES
+ * @param {Array} entries - Entries to persist
+ */
+export const saveHistory = (entries) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(entries.slice(-MAX_ENTRIES))
+    );
+  } catch {
+    // Storage full or disabled (private mode): keep the in-memory tape only
+  }
+};
+
+/**
+ * Creates a history entry for a finished calculation
+ * @param {string} expression - Expression as it was shown on the screen
+ * @param {string} result - Formatted result
+ * @param {Object} settings - Settings the expression was calculated with
+ * @param {string} settings.mode - Calculator mode
+ * @param {number} settings.radix - Number base of programmer mode
+ * @param {number} settings.wordSize - Word size of programmer mode in bits
+ * @returns {Object} New history entry
+ */
+export const createHistoryEntry = (
+  expression,
+  result,
+  { mode, radix, wordSize }
+) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  expression,
+  result,
+  timestamp: Date.now(),
+  mode,
+  radix,
+  wordSize,
+});
+
+/**
+ * Serializes the history tape to CSV (one row per calculation)
+ * @param {Array} entries - History entries
+ * @returns {string} CSV document with a header row
+ */
+export const historyToCsv = (entries) =>
+  [
+    "timestamp,expression,result",
+    ...entries.map((entry) =>
+      [new Date(entry.timestamp).toISOString(), entry.expression, entry.result]
+        .map(escapeCsv)
+        .join(",")
+    ),
+  ].join("\n");
+
+/**
+ * Serializes the history tape to plain text, like a printed adding-machine tape
+ * @param {Array} entries - History entries
+ * @returns {string} One "expression = result" line per calculation
+ */
+export const historyToText = (entries) =>
+  entries
+    .map(
+      (entry) =>
+        `${new Date(entry.timestamp).toLocaleString()}  ${entry.expression} = ${entry.result}`
+    )
+    .join("\n");
@@ -0,0 +1,75 @@
+// Expression localization for the Calculator component
+// Expressions are always kept in canonical form (see utils/numberLocale.js);
+// these helpers show them, point into them and read pasted text in the
+// user's own locale.
+
+// Separators of a locale and conversion of single numbers
+import {
+  formatLocalizedNumber,
+  parseLocalizedNumber,
+} from "../../utils/numberLocale";
+
+/**
+ * Localizes every number inside a canonical expression ("1234.5+2" → "1,234.5+2")
+ * @param {string} expression - Canonical expression
+ * @param {Object} numberLocale - Result of getNumberLocale()
+ * @returns {string} Expression as shown on the screen
+ */
+export const localizeExpression = (expression, numberLocale) =>
+  expression.replace(/\d+(?:\.\d*)?|\.\d+/g, (number) =>
+    formatLocalizedNumber(number, numberLocale)
+  );
+
+// A number in canonical form, as localizeExpression() finds them
+const CANONICAL_NUMBER = /\d+(?:\.\d*)?|\.\d+/;
+
+/**
+ * Maps a position in a canonical expression onto the localized text shown for it
+ * ("1234÷0": position 6 is the "0", which is position 7 of "1,234÷0")
+ * @param {string} expression - Canonical expression
+ * @param {number} position - 1-based position in the expression
+ * @param {Object} numberLocale - Result of getNumberLocale()
+ * @returns {number} 1-based position of the same character in the localized text
+ */
+export const localizePosition = (expression, position, numberLocale) => {
+  const before = expression.slice(0, position - 1);
+  // Part of a number that comes before the position, when it falls inside one
+  const partial = new RegExp(`(?:${CANONICAL_NUMBER.source})$`).exec(before);
+  const start = before.length - (partial?.[0].length ?? 0);
+  let shown = localizeExpression(before.slice(0, start), numberLocale).length;
+  if (partial) {
+    const [number] = new RegExp(`^(?:${CANONICAL_NUMBER.source})`).exec(
+      expression.slice(start)
+    );
+    const localized = formatLocalizedNumber(number, numberLocale);
+    // Walk the localized number past as many digits (and decimal separator)
+    // as come before the position; grouping separators are skipped over
+    let digits = 0;
+    let index = 0;
+    while (digits < partial[0].length && index < localized.length) {
+      const char = localized[index++];
+      if (/\p{Nd}/u.test(char) || char === numberLocale.decimal) digits++;
+    }
+    shown += index;
+  }
+  return shown + 1;
+};
+
+// A number as people write it: digits, optionally grouped with a comma, period,
+// apostrophe (de-CH), no-break or narrow no-break space (fr-FR), or a plain
+// space when exactly three digits follow ("1 234"); every separator sits
+// between two digits so "2, 3" or "1 + 2" are not swallowed
+const NUMBER_RUN = /\d(?:(?:[,.'’\u00a0\u202f]|\s(?=\d{3}(?!\d)))?\d)*/g;
+
+/**
+ * Rewrites the numbers of pasted text into canonical form
+ * @param {string} text - Pasted text, e.g. "1.234,56 × 2"
+ * @param {Object} numberLocale - Result of getNumberLocale()
+ * @returns {string} Canonical expression text, e.g. "1234.56 × 2"
+ */
+export const normalizePastedText = (text, numberLocale) =>
+  text
+    .trim()
+    .replace(NUMBER_RUN, (number) =>
+      parseLocalizedNumber(number, numberLocale)
+    );
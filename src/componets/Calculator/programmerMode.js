@@ -0,0 +1,62 @@
+// Helpers for the programmer mode of the Calculator component
+// Values in programmer mode are signed BigInts already wrapped to the word size
+// by the expression engine; these helpers only deal with presenting them
+
+// Word operators never need converting when the number base changes
+import { WORD_OPERATORS } from "./expressionParser";
+
+// Number bases offered by the base selector, in display order
+export const BASES = [
+  { name: "HEX", radix: 16 },
+  { name: "DEC", radix: 10 },
+  { name: "OCT", radix: 8 },
+  { name: "BIN", radix: 2 },
+];
+
+// Word sizes (in bits) offered by the word size selector
+export const WORD_SIZES = [64, 32, 16, 8];
+
+// BigInt literal prefixes for each radix
+const RADIX_PREFIXES = { 2: "0b", 8: "0o", 10: "", 16: "0x" };
+
+/**
+ * Formats an integer for display in the given base
+ * Decimal shows the signed value; the other bases show the raw two's-complement bits
+ * @param {bigint} value - Signed value
+ * @param {number} radix - Number base (2, 8, 10 or 16)
+ * @param {number} wordSize - Word size in bits
+ * @returns {string} Formatted value, upper-case for hex
+ */
+export const formatInteger = (value, radix, wordSize) =>
+  radix === 10
+    ? BigInt.asIntN(wordSize, value).toString()
+    : BigInt.asUintN(wordSize, value).toString(radix).toUpperCase();
+
+/**
+ * Checks whether a digit key can be typed in the given base
+ * @param {string} digit - Single digit "0"-"9" or "A"-"F"
+ * @param {number} radix - Number base
+ * @returns {boolean} True when the digit exists in that base
+ */
+export const isDigitInBase = (digit, radix) => parseInt(digit, 16) < radix;
+
+/**
+ * Rewrites every number in an expression from one base to another
+ * Used when the base selector changes so the expression keeps its meaning
+ * @param {string} expression - Expression written in `fromRadix`
+ * @param {number} fromRadix - Current number base
+ * @param {number} toRadix - New number base
+ * @param {number} wordSize - Word size in bits
+ * @returns {string} Equivalent expression written in `toRadix`
+ */
+export const convertNumerals = (expression, fromRadix, toRadix, wordSize) =>
+  expression.replace(/[0-9a-z]+/gi, (word) => {
+    if (WORD_OPERATORS.includes(word.toUpperCase())) return word;
+    try {
+      const value = BigInt(RADIX_PREFIXES[fromRadix] + word);
+      return BigInt.asUintN(wordSize, value).toString(toRadix).toUpperCase();
+    } catch {
+      // Not a valid number in the old base: leave it for the parser to report
+      return word;
+    }
+  });
@@ -0,0 +1,99 @@
+// React hooks for state management, performance optimization, and side effects
+import { useCallback, useEffect, useMemo, useReducer } from "react";
+// Pure state machine of the calculator
+import {
+  calculatorReducer,
+  createInitialState,
+  formatValue,
+  getProgrammerValue,
+  isKeyEnabled,
+  LAYOUTS,
+} from "./calculatorEngine";
+// History tape persistence
+import { loadHistory, saveHistory } from "./historyStorage";
+// Locale-aware separators for display
+import { localizeExpression } from "./numberLocale";
+import { getNumberLocale } from "../../utils/numberLocale";
+// Defaults of the number settings
+import { DEFAULT_PRECISION, DEFAULT_ROUNDING } from "../../utils/decimal";
+
+/**
+ * Headless calculator: state, dispatch and display text, without any UI
+ *
+ * @param {Object} [options]
+ * @param {number} [options.precision=10] - Fraction digits kept in results (division, roots, ...)
+ * @param {string} [options.roundingMode="half-up"] - How results are rounded, one of ROUNDING_MODES in utils/decimal.js
+ * @param {string} [options.locale] - BCP 47 locale for decimal and grouping separators, browser default when omitted
+ * @param {boolean} [options.persistHistory=true] - Keep the history tape in localStorage
+ * @returns {Object} Calculator API
+ *   - state: current state (see createInitialState in calculatorEngine.js)
+ *   - dispatch(action): applies an action, e.g. { type: "press", key: "7" }
+ *   - display: text for the screen, localized ("Error" after a failure)
+ *   - layout: buttons of the current mode
+ *   - isKeyEnabled(key): whether a key does something in the current mode and base
+ *   - formatText(value, mode?): localized text of a value (Decimal or BigInt) or canonical
+ *     expression, as shown in the given mode (current mode by default)
+ *   - programmerValue: value shown in all bases in programmer mode, null otherwise
+ *   - numberLocale: decimal and grouping separators in use
+ */
+const useCalculator = ({
+  precision = DEFAULT_PRECISION,
+  roundingMode = DEFAULT_ROUNDING,
+  locale,
+  persistHistory = true,
+} = {}) => {
+  // Decimal and grouping separators of the locale
+  const numberLocale = useMemo(() => getNumberLocale(locale), [locale]);
+
+  // The reducer sees the current number settings; React always uses the latest reducer
+  const reducer = useCallback(
+    (state, action) =>
+      calculatorReducer(state, action, {
+        precision,
+        roundingMode,
+        numberLocale,
+      }),
+    [precision, roundingMode, numberLocale]
+  );
+  const [state, dispatch] = useReducer(reducer, persistHistory, (persist) =>
+    createInitialState(persist ? loadHistory() : [])
+  );
+
+  // Persist the history tape whenever it changes so it survives a page reload
+  useEffect(() => {
+    if (persistHistory) saveHistory(state.history);
+  }, [state.history, persistHistory]);
+
+  // Localized text of a value or canonical expression
+  // Programmer mode shows integers in other bases, which are never grouped;
+  // history entries pass the mode they were calculated in
+  const formatText = useCallback(
+    (value, mode = state.mode) => {
+      const text =
+        typeof value === "string"
+          ? value
+          : formatValue(state, value, { precision, roundingMode });
+      return mode === "programmer"
+        ? text
+        : localizeExpression(text, numberLocale);
+    },
+    [state, precision, roundingMode, numberLocale]
+  );
+
+  const checkKey = useCallback((key) => isKeyEnabled(state, key), [state]);
+
+  const programmerValue = useMemo(() => getProgrammerValue(state), [state]);
+
+  return {
+    state,
+    dispatch,
+    display: state.errorMessage ? "Error" : formatText(state.expression || "0"),
+    layout: LAYOUTS[state.mode],
+    isKeyEnabled: checkKey,
+    formatText,
+    programmerValue,
+    numberLocale,
+  };
+};
+
+export default useCalculator;
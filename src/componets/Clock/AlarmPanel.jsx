@@ -0,0 +1,112 @@
+// React hooks for state management
+import { useState } from "react";
+// Weekday toggles and alarm display helpers
+import { WEEKDAYS, describeRepeat, formatAlarmTime } from "./alarms";
+
+/**
+ * Alarm list and form shown under the clock face
+ *
+ * @param {Object} props
+ * @param {Array} props.alarms - Alarms, see createAlarm() in alarms.js
+ * @param {Function} props.onAdd - Called with { hours, minutes, label, days } for a new alarm
+ * @param {Function} props.onRemove - Called with the id of an alarm to delete
+ * @param {Function} props.onToggle - Called with the id of an alarm to switch on or off
+ * @returns {JSX.Element} Rendered alarm panel
+ */
+const AlarmPanel = ({ alarms, onAdd, onRemove, onToggle }) => {
+  // State for the new alarm being entered
+  const [time, setTime] = useState("07:00"); // "HH:MM" from the time input
+  const [label, setLabel] = useState("");
+  const [days, setDays] = useState([]); // Weekdays it repeats on, empty = once
+
+  // Toggle a weekday of the new alarm
+  const toggleDay = (value) =>
+    setDays((prev) =>
+      prev.includes(value)
+        ? prev.filter((day) => day !== value)
+        : [...prev, value]
+    );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const [hours, minutes] = time.split(":").map(Number);
+    if (Number.isNaN(hours) || Number.isNaN(minutes)) return;
+    onAdd({ hours, minutes, label: label.trim(), days });
+    setLabel("");
+    setDays([]);
+  };
+
+  return (
+    <div className="clock-alarms">
+      <form className="clock-alarm-form" onSubmit={handleSubmit}>
+        <div className="clock-alarm-form-row">
+          <input
+            type="time"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            required
+            aria-label="Alarm time"
+          />
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label"
+            aria-label="Alarm label"
+          />
+          <button type="submit">Add</button>
+        </div>
+        {/* Repeat on these weekdays; none selected rings once */}
+        <div className="clock-alarm-days" role="group" aria-label="Repeat on">
+          {WEEKDAYS.map((day) => (
+            <button
+              key={day.value}
+              type="button"
+              className={days.includes(day.value) ? "active" : undefined}
+              onClick={() => toggleDay(day.value)}
+              aria-pressed={days.includes(day.value)}
+              aria-label={day.name}
+            >
+              {day.short}
+            </button>
+          ))}
+        </div>
+      </form>
+
+      {alarms.length > 0 && (
+        <ul className="clock-alarm-list">
+          {alarms.map((alarm) => (
+            <li
+              key={alarm.id}
+              className={alarm.enabled ? undefined : "disabled"}
+            >
+              <label>
+                <input
+                  type="checkbox"
+                  checked={alarm.enabled}
+                  onChange={() => onToggle(alarm.id)}
+                />
+                <span className="clock-alarm-time">
+                  {formatAlarmTime(alarm)}
+                </span>
+                <span className="clock-alarm-label">{alarm.label}</span>
+                <span className="clock-alarm-repeat">
+                  {describeRepeat(alarm)}
+                  {alarm.snoozedUntil !== null && " · snoozed"}
+                </span>
+              </label>
+              <button
+                onClick={() => onRemove(alarm.id)}
+                aria-label={`Delete alarm ${formatAlarmTime(alarm)}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlarmPanel;
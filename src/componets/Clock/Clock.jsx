@@ -1,52 +1,191 @@
 // React hooks for state management, side effects, and performance optimization
 import { useState, useEffect, useMemo, useCallback } from "react";
+// Wall-clock time, UTC offset and day/night in any time zone
+import {
+  getZonedTime,
+  getUtcOffset,
+  formatUtcOffset,
+  formatDigitalTime,
+  isDaytime,
+  isValidTimeZone,
+} from "./clockTime";
+// Scalable SVG face and its theme
+import ClockFace from "./ClockFace";
+import { resolveTheme } from "./clockTheme";
+// Alarms: storage, ringing, snooze and dismiss
+import useAlarms from "./useAlarms";
+import { formatAlarmTime } from "./alarms";
+import AlarmPanel from "./AlarmPanel";
+// Where the current time comes from (real time unless a TimeProvider or prop says otherwise)
+import { createTimeSource, useTimeSource } from "../TimeProvider/timeSource";
+// Accessibility: no sweeping hands for users who asked for less motion
+import usePrefersReducedMotion from "./usePrefersReducedMotion";
 // Import component-specific styles
 import "./Clock.css";
 
 // Configuration constants for better maintainability and easy customization
 // All magic numbers are centralized here for easy modification
 const CLOCK_CONFIG = {
-  UPDATE_INTERVAL: 1000, // Update every 1000ms (1 second)
+  UPDATE_INTERVAL: 1000, // Update every 1000ms (1 second) when ticking
+  MIN_UPDATE_INTERVAL: 16, // Fastest tick for accelerated time sources (about one frame)
   DEGREES_PER_SECOND: 6, // 360 degrees / 60 seconds = 6 degrees per second
   DEGREES_PER_MINUTE: 6, // 360 degrees / 60 minutes = 6 degrees per minute
   DEGREES_PER_HOUR: 30, // 360 degrees / 12 hours = 30 degrees per hour
   MINUTE_SMOOTH_FACTOR: 0.1, // Smooth minute hand movement (6 degrees / 60 seconds)
   HOUR_SMOOTH_FACTOR: 0.5, // Smooth hour hand movement (30 degrees / 60 minutes)
-  HOUR_NUMBERS: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], // Numbers displayed on clock face
-  TICK_COUNT: 60, // Total number of minute/second tick marks
-  NUMBER_RADIUS: 74, // Distance of numbers from center (in pixels)
-  TICK_RADIUS: 92, // Distance of tick marks from center (in pixels)
+  DEFAULT_SIZE: 220, // Width and height of the analog face (in pixels)
 };
 
 /**
- * Analog Clock Component
+ * Clock Component
+ * Analog face, digital display, or both
  *
- * @returns {JSX.Element} Rendered analog clock component
+ * @param {Object} props
+ * @param {"analog"|"digital"|"both"} [props.variant="analog"] - What to show
+ * @param {"12h"|"24h"} [props.hourFormat="24h"] - Digital display and spoken time: 12-hour with AM/PM or 24-hour
+ * @param {boolean} [props.showSeconds=true] - Show seconds (second hand and digital seconds)
+ * @param {boolean} [props.smooth=false] - Sweep the hands continuously instead of ticking once per second
+ *   (ignored when the user prefers reduced motion)
+ * @param {number} [props.size=220] - Width and height of the analog face in pixels
+ * @param {Object} [props.theme] - Look of the analog face: numerals, tick style and colors, see DEFAULT_CLOCK_THEME
+ * @param {string} [props.timeZone] - IANA time zone name (e.g. "Europe/Berlin"), local zone when omitted;
+ *   an unknown name shows the local time with an error caption
+ * @param {string} [props.label] - Caption under the face, e.g. a city; defaults to the time zone name
+ * @param {Date|number} [props.now] - Fixed time to show (frozen clock), e.g. for tests and screenshots
+ * @param {Object} [props.timeSource] - Time source to read the time from (see createTimeSource);
+ *   defaults to the nearest TimeProvider, or real time
+ * @param {boolean} [props.showAlarms=false] - Show the alarm panel and ring saved alarms
+ * @param {string} [props.alarmStorageKey="clock-alarms"] - localStorage key of the alarms
+ * @returns {JSX.Element} Rendered clock component
  */
-const Clock = () => {
-  // State to hold current time - updates every second
-  const [time, setTime] = useState(new Date());
+const Clock = ({
+  variant = "analog",
+  hourFormat = "24h",
+  showSeconds = true,
+  smooth = false,
+  size = CLOCK_CONFIG.DEFAULT_SIZE,
+  theme,
+  timeZone,
+  label,
+  now,
+  timeSource,
+  showAlarms = false,
+  alarmStorageKey,
+}) => {
+  // An unknown time zone would throw on every render, so the clock falls back
+  // to the local zone and says so in its caption
+  const zoneKnown = useMemo(() => isValidTimeZone(timeZone), [timeZone]);
+  const zone = zoneKnown ? timeZone : undefined;
+
+  // Time source: a fixed `now` beats the `timeSource` prop, which beats the context
+  const contextSource = useTimeSource();
+  const fixedTime = now === undefined ? undefined : new Date(now).getTime();
+  const source = useMemo(
+    () =>
+      fixedTime !== undefined
+        ? createTimeSource({ at: fixedTime, frozen: true })
+        : (timeSource ?? contextSource),
+    [fixedTime, timeSource, contextSource]
+  );
+
+  // State to hold current time - updates every second, or every frame when sweeping
+  const [tickedTime, setTime] = useState(() => new Date(source.now()));
+  // Frozen time never ticks, so it is read directly
+  const time = source.frozen ? new Date(source.now()) : tickedTime;
+
+  // Sweep only when asked to and the user does not prefer reduced motion
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const sweeping = smooth && !prefersReducedMotion;
+
+  // Alarms of this clock, in its time zone
+  const {
+    alarms,
+    ringing,
+    addAlarm,
+    removeAlarm,
+    toggleAlarm,
+    snooze,
+    dismiss,
+  } = useAlarms({
+    timeZone: zone,
+    timeSource: source,
+    storageKey: alarmStorageKey,
+    enabled: showAlarms,
+  });
 
   // Memoized time update function to prevent unnecessary re-creations
   // useCallback ensures the function reference remains stable across re-renders
   const updateTime = useCallback(() => {
-    setTime(new Date());
-  }, []); // Empty dependency array - function never changes
+    setTime(new Date(source.now()));
+  }, [source]); // Only changes with the time source
 
-  // Effect hook to set up interval for time updates
-  // Runs once on component mount, cleans up on unmount
+  // Effect hook to drive time updates: an interval when ticking, an animation
+  // frame loop when sweeping. Both pause while the document is hidden and resync
+  // from the wall clock when it becomes visible again, so throttled timers
+  // in background tabs never leave the clock behind.
   useEffect(() => {
-    const timer = setInterval(updateTime, CLOCK_CONFIG.UPDATE_INTERVAL);
+    // Frozen time needs no updates
+    if (source.frozen) return;
+    let timer = null;
+    let frame = null;
+    // Accelerated time ticks faster so the second hand still steps one second at a time
+    const interval = Math.max(
+      CLOCK_CONFIG.MIN_UPDATE_INTERVAL,
+      CLOCK_CONFIG.UPDATE_INTERVAL / source.speed
+    );
+
+    const start = () => {
+      if (sweeping) {
+        const loop = () => {
+          updateTime();
+          frame = requestAnimationFrame(loop);
+        };
+        frame = requestAnimationFrame(loop);
+      } else {
+        timer = setInterval(updateTime, interval);
+      }
+    };
+
+    const stop = () => {
+      clearInterval(timer);
+      cancelAnimationFrame(frame);
+    };
+
+    const handleVisibilityChange = () => {
+      stop();
+      if (!document.hidden) {
+        updateTime(); // Resync right away instead of waiting for the next tick
+        start();
+      }
+    };
+
+    if (!document.hidden) start();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
     // Cleanup function to prevent memory leaks
-    return () => clearInterval(timer);
-  }, [updateTime]); // Depends on updateTime callback
+    return () => {
+      stop();
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [updateTime, sweeping, source]); // Restart when switching between ticking and sweeping
+
+  // Whole second of the current time; time zone lookups only change once per second,
+  // so they are not repeated on every animation frame
+  const wholeSecond = Math.floor(time.getTime() / 1000);
+
+  // Wall-clock time in the selected time zone
+  const zoned = useMemo(
+    () => getZonedTime(new Date(wholeSecond * 1000), zone),
+    [wholeSecond, zone]
+  );
+
+  // Fraction of the current second (0-1) that moves the hands between ticks when sweeping
+  const secondFraction = sweeping ? (time.getTime() % 1000) / 1000 : 0;
 
   // Memoized angle calculations for performance optimization
   // Only recalculates when time changes, preventing unnecessary computations
   const angles = useMemo(() => {
-    const seconds = time.getSeconds(); // 0-59
-    const minutes = time.getMinutes(); // 0-59
-    const hours = time.getHours(); // 0-23
+    const { hours, minutes } = zoned; // 0-23, 0-59
+    const seconds = zoned.seconds + secondFraction; // 0-59, fractional when sweeping
 
     return {
       // Second hand: moves 6 degrees per second (360° / 60 seconds)
@@ -60,105 +199,147 @@ const Clock = () => {
 
       // Hour hand: base position (12-hour format) + smooth movement based on minutes
       // Moves 30 degrees per hour + fractional movement for smooth animation
+      // When sweeping it also creeps with the seconds instead of stepping each minute
       hour:
         (hours % 12) * CLOCK_CONFIG.DEGREES_PER_HOUR +
-        minutes * CLOCK_CONFIG.HOUR_SMOOTH_FACTOR,
+        minutes * CLOCK_CONFIG.HOUR_SMOOTH_FACTOR +
+        (sweeping ? (seconds * CLOCK_CONFIG.HOUR_SMOOTH_FACTOR) / 60 : 0),
     };
-  }, [time]); // Recalculate only when time changes
+  }, [zoned, secondFraction, sweeping]); // Recalculate only when the time changes
 
-  // Memoized hour numbers generation to prevent unnecessary re-renders
-  // Empty dependency array means this only calculates once on component mount
-  const hourNumbers = useMemo(
-    () =>
-      CLOCK_CONFIG.HOUR_NUMBERS.map((num, idx) => {
-        // Calculate angle for each number position (1-12 around the circle)
-        const angle = ((idx + 1) / 12) * 360;
-        return (
-          <div
-            key={num}
-            className="clock-number"
-            style={{
-              // Complex transform for positioning numbers around clock face:
-              // 1. Move to center with translate(-50%, -50%)
-              // 2. Rotate to the correct angle
-              // 3. Move outward to the number radius
-              // 4. Counter-rotate to keep text upright
-              transform: `translate(-50%, -50%) rotate(${angle}deg) translate(0, -${CLOCK_CONFIG.NUMBER_RADIUS}px) rotate(-${angle}deg)`,
-            }}
-            aria-label={`${num} o'clock position`} // Accessibility label
-          >
-            {num}
-          </div>
-        );
-      }),
-    [] // Empty dependency - static content that never changes
-  );
+  // Complete theme of the analog face; memoized so the dial is only rebuilt when it changes
+  const faceTheme = useMemo(() => resolveTheme(theme), [theme]);
 
-  // Memoized tick marks generation for minute/second indicators
-  // Creates 60 tick marks around the clock face (one for each minute/second)
-  const tickMarks = useMemo(
-    () =>
-      Array.from({ length: CLOCK_CONFIG.TICK_COUNT }, (_, idx) => {
-        // Calculate angle for each tick mark (6 degrees apart)
-        const angle = idx * CLOCK_CONFIG.DEGREES_PER_SECOND;
-        // Every 5th tick mark is an hour mark (at 12, 1, 2, etc.)
-        const isHourMark = idx % 5 === 0;
-        return (
-          <div
-            key={`tick-${idx}`}
-            className={`clock-tick${isHourMark ? " hour-mark" : ""}`} // Different styling for hour marks
-            style={{
-              // Position tick marks around the clock face at the specified radius
-              transform: `translate(-50%, -50%) rotate(${angle}deg) translate(0, -${CLOCK_CONFIG.TICK_RADIUS}px)`,
-            }}
-            aria-hidden="true" // Hide from screen readers (decorative only)
-          />
-        );
-      }),
-    [] // Empty dependency - static content that never changes
-  );
+  // Markers on the dial at the hour-hand position of each enabled alarm
+  const alarmMarkers = alarms
+    .filter((alarm) => alarm.enabled)
+    .map((alarm) => ({
+      id: alarm.id,
+      angle:
+        (alarm.hours % 12) * CLOCK_CONFIG.DEGREES_PER_HOUR +
+        alarm.minutes * CLOCK_CONFIG.HOUR_SMOOTH_FACTOR,
+      title: `Alarm ${formatAlarmTime(alarm)} ${alarm.label}`.trim(),
+    }));
+
+  // Digital reading of the time
+  const digital = formatDigitalTime(zoned, { hourFormat, showSeconds });
 
   // Format current time for accessibility (screen readers)
-  const accessibleTime = time.toLocaleTimeString();
+  const accessibleTime = time.toLocaleTimeString(undefined, {
+    timeZone: zone,
+    hour12: hourFormat === "12h",
+    hour: "numeric",
+    minute: "2-digit",
+    ...(showSeconds && { second: "2-digit" }),
+  });
+
+  // Caption with day/night indicator and UTC offset, shown for a named zone or label
+  const caption = useMemo(() => {
+    if (!timeZone && !label) return null;
+    if (!zoneKnown) {
+      return {
+        name: label ?? timeZone,
+        error: `Unknown time zone "${timeZone}", showing local time`,
+      };
+    }
+    return {
+      name: label ?? timeZone,
+      daytime: isDaytime(zoned.hours),
+      offset: formatUtcOffset(
+        getUtcOffset(new Date(wholeSecond * 1000), timeZone)
+      ),
+    };
+  }, [wholeSecond, zoned, timeZone, zoneKnown, label]);
 
   return (
     <div
-      className="clock-container"
-      role="img" // Semantic role for screen readers
-      aria-label={`Analog clock showing ${accessibleTime}`} // Descriptive label
+      className={`clock-container ${variant}${sweeping ? " smooth" : ""}${
+        caption?.daytime === false ? " night" : ""
+      }`}
     >
-      <div className="clock-circle">
-        {/* Hour numbers (1-12) positioned around clock face */}
-        {hourNumbers}
-
-        {/* Minute/second tick marks with hour marks differentiated */}
-        {tickMarks}
+      <div className="clock-face-area">
+        {/* Time display: the face(s) speak the time for screen readers */}
+        <div
+          className="clock-display"
+          role="img" // Semantic role for screen readers
+          aria-label={`${variant === "digital" ? "Digital" : "Analog"} clock showing ${accessibleTime}${
+            caption ? ` in ${caption.name}` : ""
+          }`} // Descriptive label
+        >
+          {variant !== "digital" && (
+            <ClockFace
+              angles={angles}
+              size={size}
+              theme={faceTheme}
+              showSeconds={showSeconds}
+              markers={alarmMarkers}
+            />
+          )}
 
-        {/* Clock hands - positioned using CSS transforms and rotation */}
-        {/* Center dot - visual anchor point for all hands */}
-        <div className="clock-middle" aria-hidden="true" />
+          {variant !== "analog" && (
+            <div className="clock-digital" aria-hidden="true">
+              {digital.time}
+              {digital.period && (
+                <span className="clock-digital-period">{digital.period}</span>
+              )}
+            </div>
+          )}
+        </div>
 
-        {/* Hour hand - shortest, thickest hand */}
-        <div
-          className="clock-hand clock-hour-hand"
-          style={{ transform: `translateX(-50%) rotate(${angles.hour}deg)` }}
-          aria-label="Hour hand"
-        />
+        {/* Ringing alarm: snooze or dismiss right on the face */}
+        {ringing.length > 0 && (
+          <div
+            className="clock-alarm-ringing"
+            role="alertdialog"
+            aria-label="Alarm ringing"
+          >
+            <div className="clock-alarm-ringing-label">
+              {ringing
+                .map((alarm) => alarm.label || formatAlarmTime(alarm))
+                .join(", ")}
+            </div>
+            <div className="clock-alarm-ringing-actions">
+              <button onClick={snooze}>Snooze</button>
+              <button onClick={dismiss}>Dismiss</button>
+            </div>
+          </div>
+        )}
+      </div>
 
-        {/* Minute hand - medium length hand */}
-        <div
-          className="clock-hand clock-minute-hand"
-          style={{ transform: `translateX(-50%) rotate(${angles.minute}deg)` }}
-          aria-label="Minute hand"
-        />
+      {/* Zone caption: name, day/night indicator and UTC offset,
+          or the reason the zone can't be shown */}
+      {caption?.error && (
+        <div className="clock-caption">
+          <span className="clock-caption-name">{caption.name}</span>
+          <span className="clock-zone-error" role="alert">
+            {caption.error}
+          </span>
+        </div>
+      )}
+      {caption && !caption.error && (
+        <div className="clock-caption">
+          <span className="clock-caption-name">{caption.name}</span>
+          <span
+            className={`clock-daynight ${caption.daytime ? "day" : "night"}`}
+            role="img"
+            aria-label={caption.daytime ? "Day" : "Night"}
+            title={caption.daytime ? "Day" : "Night"}
+          >
+            {caption.daytime ? "☀️" : "🌙"}
+          </span>
+          <span className="clock-offset">{caption.offset}</span>
+        </div>
+      )}
 
-        {/* Second hand - longest, thinnest hand with distinct color */}
-        <div
-          className="clock-hand clock-second-hand"
-          style={{ transform: `translateX(-50%) rotate(${angles.second}deg)` }}
-          aria-label="Second hand"
+      {/* Alarm list and form */}
+      {showAlarms && (
+        <AlarmPanel
+          alarms={alarms}
+          onAdd={addAlarm}
+          onRemove={removeAlarm}
+          onToggle={toggleAlarm}
         />
-      </div>
+      )}
 
       {/* Hidden time display for screen readers - updates live */}
       <div className="sr-only" aria-live="polite">
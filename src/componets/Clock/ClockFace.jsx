@@ -0,0 +1,183 @@
+// React hook for performance optimization
+import { useMemo } from "react";
+// Numerals of each style
+import { NUMERALS } from "./clockTheme";
+
+// Geometry of the face in SVG user units; the viewBox is scaled to the
+// requested size, so the same face works from a badge to a wall display
+const FACE = {
+  VIEW_BOX: 200, // Width and height of the viewBox
+  CENTER: 100,
+  RIM_RADIUS: 96, // Outer edge of the rim
+  RIM_WIDTH: 7,
+  TICK_OUTER_RADIUS: 86, // Where tick marks start, going inward
+  MINUTE_TICK_LENGTH: 4,
+  HOUR_TICK_LENGTH: 9,
+  NUMERAL_RADIUS: 67, // Distance of numerals from center
+  ALARM_MARKER_RADIUS: 52, // Distance of alarm markers from center
+  HANDS: {
+    hour: { length: 44, width: 6, tail: 8 },
+    minute: { length: 64, width: 4, tail: 10 },
+    second: { length: 80, width: 1.5, tail: 16 },
+  },
+  CENTER_DOT_RADIUS: 5,
+};
+
+// Point at a distance from the center in the direction of a clock angle (0° = 12 o'clock)
+const polar = (angle, radius) => {
+  const radians = (angle * Math.PI) / 180;
+  return {
+    x: FACE.CENTER + radius * Math.sin(radians),
+    y: FACE.CENTER - radius * Math.cos(radians),
+  };
+};
+
+/**
+ * Analog clock face rendered as a scalable SVG
+ *
+ * @param {Object} props
+ * @param {{hour: number, minute: number, second: number}} props.angles - Hand angles in degrees
+ * @param {number} props.size - Width and height in pixels
+ * @param {Object} props.theme - Complete theme, see DEFAULT_CLOCK_THEME
+ * @param {boolean} [props.showSeconds=true] - Draw the second hand
+ * @param {Array<{id: string, angle: number, title: string}>} [props.markers=[]] - Alarm markers
+ * @returns {JSX.Element} Rendered SVG face
+ */
+const ClockFace = ({
+  angles,
+  size,
+  theme,
+  showSeconds = true,
+  markers = [],
+}) => {
+  // Static parts of the dial only change with the theme
+  const dial = useMemo(() => {
+    // 60 tick marks, longer and darker at the hours
+    const ticks = Array.from({ length: 60 }, (_, idx) => {
+      const angle = idx * 6;
+      const isHourMark = idx % 5 === 0;
+      const color = isHourMark ? theme.hourTickColor : theme.tickColor;
+      if (theme.tickStyle === "dots") {
+        const { x, y } = polar(angle, FACE.TICK_OUTER_RADIUS - 2);
+        return (
+          <circle
+            key={idx}
+            cx={x}
+            cy={y}
+            r={isHourMark ? 2.5 : 1.2}
+            fill={color}
+          />
+        );
+      }
+      const outer = polar(angle, FACE.TICK_OUTER_RADIUS);
+      const inner = polar(
+        angle,
+        FACE.TICK_OUTER_RADIUS -
+          (isHourMark ? FACE.HOUR_TICK_LENGTH : FACE.MINUTE_TICK_LENGTH)
+      );
+      return (
+        <line
+          key={idx}
+          x1={outer.x}
+          y1={outer.y}
+          x2={inner.x}
+          y2={inner.y}
+          stroke={color}
+          strokeWidth={isHourMark ? 3 : 1}
+          strokeLinecap="round"
+        />
+      );
+    });
+
+    // Numerals stay upright at their position around the dial
+    const numerals = (NUMERALS[theme.numerals] ?? []).map((numeral, idx) => {
+      const { x, y } = polar(idx * 30, FACE.NUMERAL_RADIUS);
+      return (
+        <text
+          key={numeral}
+          x={x}
+          y={y}
+          className="clock-numeral"
+          fill={theme.numeralColor}
+          textAnchor="middle"
+          dominantBaseline="central"
+        >
+          {numeral}
+        </text>
+      );
+    });
+
+    return { ticks: theme.tickStyle === "none" ? [] : ticks, numerals };
+  }, [theme]);
+
+  // A hand is drawn pointing at 12 and rotated around the center
+  const hand = (name, angle, color) => {
+    const { length, width, tail } = FACE.HANDS[name];
+    return (
+      <line
+        className={`clock-hand clock-${name}-hand`}
+        x1={FACE.CENTER}
+        y1={FACE.CENTER + tail}
+        x2={FACE.CENTER}
+        y2={FACE.CENTER - length}
+        stroke={color}
+        strokeWidth={width}
+        strokeLinecap="round"
+        style={{ transform: `rotate(${angle}deg)` }}
+      />
+    );
+  };
+
+  return (
+    <svg
+      className="clock-face"
+      width={size}
+      height={size}
+      viewBox={`0 0 ${FACE.VIEW_BOX} ${FACE.VIEW_BOX}`}
+      aria-hidden="true" // The clock container describes the time
+    >
+      {/* Dial and rim */}
+      <circle
+        cx={FACE.CENTER}
+        cy={FACE.CENTER}
+        r={FACE.RIM_RADIUS - FACE.RIM_WIDTH / 2}
+        fill={theme.faceColor}
+        stroke={theme.borderColor}
+        strokeWidth={FACE.RIM_WIDTH}
+      />
+
+      {dial.ticks}
+      {dial.numerals}
+
+      {/* Alarm markers: small triangles pointing outward */}
+      {markers.map(({ id, angle, title }) => (
+        <polygon
+          key={id}
+          className="clock-alarm-marker"
+          points={`${FACE.CENTER - 4},${FACE.CENTER - FACE.ALARM_MARKER_RADIUS + 4} ${FACE.CENTER + 4},${FACE.CENTER - FACE.ALARM_MARKER_RADIUS + 4} ${FACE.CENTER},${FACE.CENTER - FACE.ALARM_MARKER_RADIUS - 4}`}
+          fill={theme.alarmMarkerColor}
+          style={{ transform: `rotate(${angle}deg)` }}
+        >
+          <title>{title}</title>
+        </polygon>
+      ))}
+
+      {/* Hands, shortest first so the second hand is on top */}
+      {hand("hour", angles.hour, theme.hourHandColor)}
+      {hand("minute", angles.minute, theme.minuteHandColor)}
+      {showSeconds && hand("second", angles.second, theme.secondHandColor)}
+
+      {/* Center dot covering the pivots */}
+      <circle
+        cx={FACE.CENTER}
+        cy={FACE.CENTER}
+        r={FACE.CENTER_DOT_RADIUS}
+        fill={theme.centerColor}
+        stroke={theme.faceColor}
+        strokeWidth={1.5}
+      />
+    </svg>
+  );
+};
+
+export default ClockFace;
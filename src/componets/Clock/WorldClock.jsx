@@ -0,0 +1,34 @@
+// Analog clock face, one per time zone
+import Clock from "./Clock";
+// Import component-specific styles
+import "./WorldClock.css";
+
+// Zones shown when none are passed in
+const DEFAULT_ZONES = [
+  { label: "San Francisco", timeZone: "America/Los_Angeles" },
+  { label: "New York", timeZone: "America/New_York" },
+  { label: "London", timeZone: "Europe/London" },
+  { label: "Tokyo", timeZone: "Asia/Tokyo" },
+];
+
+/**
+ * World Clock Component
+ * Labelled clock faces side by side, each in its own time zone
+ *
+ * @param {Object} props
+ * @param {Array<{label: string, timeZone: string}>} [props.zones] - Zones to show, in order
+ * @returns {JSX.Element} Rendered world clock
+ */
+const WorldClock = ({ zones = DEFAULT_ZONES }) => (
+  <div className="world-clock" role="group" aria-label="World clock">
+    {zones.map((zone) => (
+      <Clock
+        key={`${zone.timeZone}-${zone.label}`}
+        timeZone={zone.timeZone}
+        label={zone.label}
+      />
+    ))}
+  </div>
+);
+
+export default WorldClock;
@@ -0,0 +1,134 @@
+// Alarm helpers for the Clock component
+// Alarms are plain objects kept in localStorage; whether one is due is decided
+// from the wall-clock time of the clock's time zone.
+
+// Wall-clock time in the clock's time zone
+import { getZonedTime } from "./clockTime";
+
+// localStorage key under which alarms are saved by default
+export const DEFAULT_ALARM_STORAGE_KEY = "clock-alarms";
+// How long "Snooze" postpones a ringing alarm
+export const SNOOZE_MINUTES = 9;
+
+// Weekday toggles of the alarm form, Monday first (value = Date#getDay())
+export const WEEKDAYS = [
+  { value: 1, short: "Mo", name: "Monday" },
+  { value: 2, short: "Tu", name: "Tuesday" },
+  { value: 3, short: "We", name: "Wednesday" },
+  { value: 4, short: "Th", name: "Thursday" },
+  { value: 5, short: "Fr", name: "Friday" },
+  { value: 6, short: "Sa", name: "Saturday" },
+  { value: 0, short: "Su", name: "Sunday" },
+];
+
+/**
+ * Reads the saved alarms
+ * @param {string} storageKey - localStorage key
+ * @returns {Array<Object>} Alarms, see createAlarm()
+ */
+export const loadAlarms = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    // Corrupted or unavailable storage: start without alarms
+    return [];
+  }
+};
+
+/**
+ * Saves the alarms
+ * @param {string} storageKey - localStorage key
+ * @param {Array<Object>} alarms - Alarms to persist
+ */
+export const saveAlarms = (storageKey, alarms) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(alarms));
+  } catch {
+    // Storage full or disabled: alarms only live for this session
+  }
+};
+
+/**
+ * Creates an alarm
+ * @param {Object} fields
+ * @param {number} fields.hours - Hour of the day, 0-23
+ * @param {number} fields.minutes - Minute, 0-59
+ * @param {string} [fields.label=""] - Text shown when the alarm rings
+ * @param {number[]} [fields.days=[]] - Weekdays it repeats on (0 = Sunday); rings once when empty
+ * @returns {{id: string, hours: number, minutes: number, label: string, days: number[],
+ *   enabled: boolean, lastFired: string|null, snoozedUntil: number|null}}
+ */
+export const createAlarm = ({ hours, minutes, label = "", days = [] }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  hours,
+  minutes,
+  label,
+  days: [...days].sort(),
+  enabled: true,
+  lastFired: null, // Minute the alarm last rang, so it rings once per occurrence
+  snoozedUntil: null, // Timestamp a snoozed alarm rings again at
+});
+
+// Identifies the minute of an occurrence, e.g. "2024-1-15 7:30"
+const occurrenceKey = (zoned) =>
+  `${zoned.year}-${zoned.month}-${zoned.day} ${zoned.hours}:${zoned.minutes}`;
+
+/**
+ * Checks whether an alarm should start ringing
+ * @param {Object} alarm
+ * @param {Date} now - Current time
+ * @param {string} [timeZone] - IANA time zone of the clock, local zone when omitted
+ * @returns {boolean} True when it is enabled and its time (or snooze) has come
+ */
+export const isAlarmDue = (alarm, now, timeZone) => {
+  if (!alarm.enabled) return false;
+  if (alarm.snoozedUntil !== null) return now.getTime() >= alarm.snoozedUntil;
+
+  const zoned = getZonedTime(now, timeZone);
+  if (zoned.hours !== alarm.hours || zoned.minutes !== alarm.minutes) {
+    return false;
+  }
+  if (alarm.days.length > 0 && !alarm.days.includes(zoned.weekday)) {
+    return false;
+  }
+  // A throttled tab may check several times within the minute, or skip second 0
+  return alarm.lastFired !== occurrenceKey(zoned);
+};
+
+/**
+ * Records that an alarm started ringing
+ * @param {Object} alarm
+ * @param {Date} now - Current time
+ * @param {string} [timeZone] - IANA time zone of the clock
+ * @returns {Object} Updated alarm
+ */
+export const markFired = (alarm, now, timeZone) => ({
+  ...alarm,
+  lastFired: occurrenceKey(getZonedTime(now, timeZone)),
+  snoozedUntil: null,
+});
+
+/**
+ * Formats the time of an alarm as "07:30"
+ * @param {Object} alarm
+ * @returns {string}
+ */
+export const formatAlarmTime = (alarm) =>
+  `${String(alarm.hours).padStart(2, "0")}:${String(alarm.minutes).padStart(2, "0")}`;
+
+/**
+ * Describes when an alarm repeats
+ * @param {Object} alarm
+ * @returns {string} "Once", "Every day", "Weekdays", "Weekends" or e.g. "Mo We Fr"
+ */
+export const describeRepeat = (alarm) => {
+  const days = alarm.days.join(",");
+  if (days === "") return "Once";
+  if (days === "0,1,2,3,4,5,6") return "Every day";
+  if (days === "1,2,3,4,5") return "Weekdays";
+  if (days === "0,6") return "Weekends";
+  return WEEKDAYS.filter((day) => alarm.days.includes(day.value))
+    .map((day) => day.short)
+    .join(" ");
+};
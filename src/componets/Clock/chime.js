@@ -0,0 +1,56 @@
+// Alarm chime for the Clock component, synthesized with the Web Audio API
+// (no audio file to load): a rising three-note bell, repeated while ringing.
+
+// Notes of one chime in Hz (A5, C#6, E6) and the gap between them in seconds
+const NOTES = [880, 1108.73, 1318.51];
+const NOTE_GAP = 0.25;
+// How long each note rings out, in seconds
+const NOTE_LENGTH = 1.2;
+// Seconds between two chimes while an alarm rings
+const REPEAT_INTERVAL = 2.5;
+
+/**
+ * Schedules one chime on an audio context
+ * @param {AudioContext} context
+ */
+const scheduleChime = (context) => {
+  const start = context.currentTime;
+  NOTES.forEach((frequency, idx) => {
+    const at = start + idx * NOTE_GAP;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = "sine";
+    oscillator.frequency.value = frequency;
+    // Quick attack, exponential decay like a struck bell
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(0.3, at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + NOTE_LENGTH);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(at);
+    oscillator.stop(at + NOTE_LENGTH);
+  });
+};
+
+/**
+ * Starts chiming until the returned function is called
+ * Does nothing in browsers without Web Audio
+ * @returns {Function} Stops the chime and releases the audio context
+ */
+export const startChime = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return () => {};
+
+  const context = new AudioContextClass();
+  // Autoplay policies may start the context suspended until the page was interacted with
+  context.resume?.().catch(() => {});
+  scheduleChime(context);
+  const timer = setInterval(
+    () => scheduleChime(context),
+    REPEAT_INTERVAL * 1000
+  );
+
+  return () => {
+    clearInterval(timer);
+    context.close().catch(() => {});
+  };
+};
@@ -0,0 +1,45 @@
+// Look of the analog Clock face
+// Every entry can be overridden through the `theme` prop of Clock; missing
+// entries fall back to these defaults.
+
+export const DEFAULT_CLOCK_THEME = {
+  numerals: "arabic", // "arabic" (1-12), "roman" (I-XII) or "none"
+  tickStyle: "lines", // "lines", "dots" or "none"
+  faceColor: "#fff", // Dial background
+  borderColor: "#333", // Rim around the dial
+  numeralColor: "#333", // Hour numerals
+  tickColor: "#ccc", // Minute ticks
+  hourTickColor: "#333", // Ticks at the hours
+  hourHandColor: "#333",
+  minuteHandColor: "#777",
+  secondHandColor: "#e74c3c",
+  centerColor: "#000", // Dot covering the hand pivots
+  alarmMarkerColor: "#f39c12", // Alarm markers on the dial
+};
+
+// Numerals of each style, clockwise from 12 o'clock
+export const NUMERALS = {
+  arabic: [12, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  roman: [
+    "XII",
+    "I",
+    "II",
+    "III",
+    "IV",
+    "V",
+    "VI",
+    "VII",
+    "VIII",
+    "IX",
+    "X",
+    "XI",
+  ],
+  none: [],
+};
+
+/**
+ * Fills in the defaults of a partial theme
+ * @param {Object} [theme] - Entries of DEFAULT_CLOCK_THEME to override
+ * @returns {Object} Complete theme
+ */
+export const resolveTheme = (theme) => ({ ...DEFAULT_CLOCK_THEME, ...theme });
@@ -0,0 +1,138 @@
+// Time zone helpers for the Clock component
+// A Date is an instant; these helpers read its wall-clock time in any IANA
+// time zone through Intl.DateTimeFormat, so no time zone data is bundled.
+
+// Hours of the day (inclusive start, exclusive end) shown as daytime
+const DAY_START_HOUR = 6;
+const DAY_END_HOUR = 18;
+
+// Formatters are expensive to create, so one is kept per time zone
+const formatters = new Map();
+
+/**
+ * Returns a formatter that splits a date into numeric parts in a time zone
+ * @param {string} [timeZone] - IANA time zone name, local zone when omitted
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} When the time zone is unknown
+ */
+const getFormatter = (timeZone) => {
+  const key = timeZone ?? "";
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Checks that a time zone name is known to the browser
+ * @param {string} [timeZone] - IANA time zone name; omitted means the local zone, which is valid
+ * @returns {boolean} Whether the time zone can be passed to the other helpers
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    if (error instanceof RangeError) return false;
+    throw error;
+  }
+};
+
+/**
+ * Reads the wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant to read
+ * @param {string} [timeZone] - IANA time zone name, e.g. "Asia/Tokyo"; local zone when omitted
+ * @returns {{year: number, month: number, day: number, weekday: number, hours: number, minutes: number, seconds: number}}
+ *   Calendar date (month 1-12, weekday 0-6 from Sunday) and time of day (hours 0-23)
+ */
+export const getZonedTime = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    weekday: new Date(
+      Date.UTC(parts.year, parts.month - 1, parts.day)
+    ).getUTCDay(),
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant (daylight saving time included)
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone name, local zone when omitted
+ * @returns {number} Offset in minutes, e.g. 330 for India, -300 for New York in winter
+ */
+export const getUtcOffset = (date, timeZone) => {
+  const { year, month, day, hours, minutes, seconds } = getZonedTime(
+    date,
+    timeZone
+  );
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // Milliseconds are not part of the wall-clock reading
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - instant) / 60000);
+};
+
+/**
+ * Formats a UTC offset for display
+ * @param {number} offset - Offset in minutes
+ * @returns {string} E.g. "UTC+5:30", "UTC−5" or "UTC"
+ */
+export const formatUtcOffset = (offset) => {
+  if (offset === 0) return "UTC";
+  const sign = offset > 0 ? "+" : "−";
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, "0")}` : ""}`;
+};
+
+/**
+ * Whether an hour of the day counts as daytime for the day/night indicator
+ * @param {number} hours - Hour of the day, 0-23
+ * @returns {boolean} True between 6:00 and 18:00
+ */
+export const isDaytime = (hours) =>
+  hours >= DAY_START_HOUR && hours < DAY_END_HOUR;
+
+/**
+ * Formats a wall-clock time for the digital display
+ * @param {{hours: number, minutes: number, seconds: number}} zoned - Result of getZonedTime()
+ * @param {Object} [options]
+ * @param {"12h"|"24h"} [options.hourFormat="24h"] - 12-hour clock with AM/PM, or 24-hour clock
+ * @param {boolean} [options.showSeconds=true] - Include the seconds
+ * @returns {{time: string, period: string|null}} E.g. { time: "7:05:09", period: "PM" }
+ *   or { time: "19:05:09", period: null }
+ */
+export const formatDigitalTime = (
+  { hours, minutes, seconds },
+  { hourFormat = "24h", showSeconds = true } = {}
+) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  const twelveHour = hourFormat === "12h";
+  // 12-hour clocks show 12 instead of 0 and do not pad the hour
+  const hour = twelveHour ? String(hours % 12 || 12) : pad(hours);
+  const time = [hour, pad(minutes), ...(showSeconds ? [pad(seconds)] : [])];
+  return {
+    time: time.join(":"),
+    period: twelveHour ? (hours < 12 ? "AM" : "PM") : null,
+  };
+};
@@ -0,0 +1,185 @@
+// React hooks for state management and side effects
+import { useCallback, useEffect, useRef, useState } from "react";
+// Alarm storage and scheduling rules
+import {
+  DEFAULT_ALARM_STORAGE_KEY,
+  SNOOZE_MINUTES,
+  createAlarm,
+  formatAlarmTime,
+  isAlarmDue,
+  loadAlarms,
+  markFired,
+  saveAlarms,
+} from "./alarms";
+// Synthesized alarm sound
+import { startChime } from "./chime";
+// Real time unless the clock reads another time source
+import { SYSTEM_TIME } from "../TimeProvider/timeSource";
+
+// How often alarms are checked (ms); a throttled background tab checks less often,
+// which is why alarms remember the minute they last rang
+const CHECK_INTERVAL = 1000;
+// A ringing alarm that nobody answers is dismissed after this long (ms)
+const RING_TIMEOUT = 60 * 1000;
+
+/**
+ * Shows a browser notification for ringing alarms when the tab is in the background
+ * @param {Array<Object>} alarms - Alarms that started ringing
+ */
+const notify = (alarms) => {
+  if (
+    !document.hidden ||
+    typeof Notification === "undefined" ||
+    Notification.permission !== "granted"
+  ) {
+    return;
+  }
+  for (const alarm of alarms) {
+    new Notification(alarm.label || "Alarm", {
+      body: `Alarm for ${formatAlarmTime(alarm)}`,
+      tag: alarm.id, // Replaces an earlier notification of the same alarm
+    });
+  }
+};
+
+/**
+ * Alarms of a clock: persistence, ringing, snooze and dismiss
+ *
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone the alarm times are in, local zone when omitted
+ * @param {string} [options.storageKey="clock-alarms"] - localStorage key of the alarms
+ * @param {Object} [options.timeSource] - Time source alarms are checked against, real time when omitted
+ * @param {boolean} [options.enabled=true] - When false, alarms are neither loaded nor checked
+ * @returns {Object} alarms, ringing (alarms ringing now), addAlarm(fields),
+ *   removeAlarm(id), toggleAlarm(id), snooze(), dismiss()
+ */
+const useAlarms = ({
+  timeZone,
+  storageKey = DEFAULT_ALARM_STORAGE_KEY,
+  timeSource = SYSTEM_TIME,
+  enabled = true,
+} = {}) => {
+  // State for the list of alarms (restored from localStorage)
+  const [alarms, setAlarms] = useState(() =>
+    enabled ? loadAlarms(storageKey) : []
+  );
+  // State for the ids of the alarms ringing right now
+  const [ringingIds, setRingingIds] = useState([]);
+
+  // Latest alarms for the interval callback, which is not recreated on every change
+  const alarmsRef = useRef(alarms);
+  useEffect(() => {
+    alarmsRef.current = alarms;
+  }, [alarms]);
+
+  // Persist alarms whenever they change
+  useEffect(() => {
+    if (enabled) saveAlarms(storageKey, alarms);
+  }, [enabled, storageKey, alarms]);
+
+  // Check every second whether an alarm is due
+  useEffect(() => {
+    if (!enabled) return;
+    const check = () => {
+      const now = new Date(timeSource.now());
+      const due = alarmsRef.current.filter((alarm) =>
+        isAlarmDue(alarm, now, timeZone)
+      );
+      if (due.length === 0) return;
+
+      const dueIds = due.map((alarm) => alarm.id);
+      setAlarms((prev) =>
+        prev.map((alarm) =>
+          dueIds.includes(alarm.id) ? markFired(alarm, now, timeZone) : alarm
+        )
+      );
+      setRingingIds((prev) => [
+        ...prev,
+        ...dueIds.filter((id) => !prev.includes(id)),
+      ]);
+      notify(due);
+    };
+
+    const timer = setInterval(check, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enabled, timeZone, timeSource]);
+
+  const isRinging = ringingIds.length > 0;
+
+  // Chime while an alarm rings
+  useEffect(() => {
+    if (!isRinging) return;
+    return startChime();
+  }, [isRinging]);
+
+  // Stop ringing; alarms that ring only once are switched off
+  const dismiss = useCallback(() => {
+    setAlarms((prev) =>
+      prev.map((alarm) =>
+        ringingIds.includes(alarm.id) && alarm.days.length === 0
+          ? { ...alarm, enabled: false }
+          : alarm
+      )
+    );
+    setRingingIds([]);
+  }, [ringingIds]);
+
+  // Nobody answered: give up after RING_TIMEOUT
+  useEffect(() => {
+    if (!isRinging) return;
+    const timer = setTimeout(dismiss, RING_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [isRinging, dismiss]);
+
+  // Stop ringing and ring again in SNOOZE_MINUTES
+  const snooze = useCallback(() => {
+    const until = timeSource.now() + SNOOZE_MINUTES * 60 * 1000;
+    setAlarms((prev) =>
+      prev.map((alarm) =>
+        ringingIds.includes(alarm.id)
+          ? { ...alarm, snoozedUntil: until }
+          : alarm
+      )
+    );
+    setRingingIds([]);
+  }, [ringingIds, timeSource]);
+
+  // Add an alarm; the first one asks for permission to notify from the background
+  const addAlarm = useCallback((fields) => {
+    setAlarms((prev) => [...prev, createAlarm(fields)]);
+    if (
+      typeof Notification !== "undefined" &&
+      Notification.permission === "default"
+    ) {
+      Notification.requestPermission().catch(() => {});
+    }
+  }, []);
+
+  const removeAlarm = useCallback((id) => {
+    setAlarms((prev) => prev.filter((alarm) => alarm.id !== id));
+    setRingingIds((prev) => prev.filter((ringingId) => ringingId !== id));
+  }, []);
+
+  // Switch an alarm on or off; switching it off also cancels a snooze
+  const toggleAlarm = useCallback((id) => {
+    setAlarms((prev) =>
+      prev.map((alarm) =>
+        alarm.id === id
+          ? { ...alarm, enabled: !alarm.enabled, snoozedUntil: null }
+          : alarm
+      )
+    );
+  }, []);
+
+  return {
+    alarms,
+    ringing: alarms.filter((alarm) => ringingIds.includes(alarm.id)),
+    addAlarm,
+    removeAlarm,
+    toggleAlarm,
+    snooze,
+    dismiss,
+  };
+};
+
+export default useAlarms;
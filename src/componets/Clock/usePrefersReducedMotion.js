@@ -0,0 +1,28 @@
+// React hook for subscribing to external state
+import { useSyncExternalStore } from "react";
+
+// Media query matching users who asked the system for less animation
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+// matchMedia is missing in some environments (older browsers, server rendering, tests)
+const getMediaQuery = () =>
+  typeof window !== "undefined" && typeof window.matchMedia === "function"
+    ? window.matchMedia(QUERY)
+    : null;
+
+const subscribe = (onChange) => {
+  const mediaQuery = getMediaQuery();
+  mediaQuery?.addEventListener("change", onChange);
+  return () => mediaQuery?.removeEventListener("change", onChange);
+};
+
+const getSnapshot = () => getMediaQuery()?.matches ?? false;
+
+/**
+ * Whether the user prefers reduced motion; updates when the setting changes
+ * @returns {boolean} True when animations should be avoided
+ */
+const usePrefersReducedMotion = () =>
+  useSyncExternalStore(subscribe, getSnapshot, () => false);
+
+export default usePrefersReducedMotion;
@@ -0,0 +1,141 @@
+import { useState, useEffect } from "react";
+import { useConnectionStatus } from "./connectionContext";
+import {
+  exportHistory,
+  formatDuration,
+  getHistoryPeriods,
+  getOutages,
+  summarizeOutages,
+} from "./connectionOutages";
+import { downloadFile } from "../../utils/download";
+import "./ConnectionHistory.css";
+
+const STATUS_LABELS = {
+  online: "Online",
+  degraded: "Server unreachable",
+  offline: "Offline",
+};
+const QUALITY_LABELS = {
+  good: "Good",
+  slow: "Slow",
+  unreachable: "Server unreachable",
+  offline: "Offline",
+};
+
+/**
+ * Detail view of the connection: current quality, Network Information API
+ * readings, every online/offline transition with how long it lasted, and the
+ * outages so far. The history can be exported as JSON for support requests.
+ *
+ * Inside a ConnectionProvider it shows the shared history, which starts when
+ * the provider mounts; on its own it records from its own mount.
+ *
+ * @param {Object} props - Monitor options used without a provider, see ConnectionStatus
+ */
+function ConnectionHistory(props) {
+  const { status, quality, network, history } = useConnectionStatus(props);
+  // Current time, so the ongoing period and outage keep counting
+  const [now, setNow] = useState(() => Date.now());
+
+  // Effect to refresh the durations every second
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // A transition recorded after the last tick would otherwise get a negative duration
+  const end = Math.max(now, history.at(-1).at);
+  const periods = getHistoryPeriods(history, end).reverse(); // Newest first
+  const summary = summarizeOutages(getOutages(history, end));
+
+  const handleExport = () => {
+    const exportedAt = Date.now();
+    const stamp = new Date(exportedAt).toISOString().replace(/[:.]/g, "-");
+    downloadFile(
+      exportHistory(history, { now: exportedAt, network }),
+      `connection-history-${stamp}.json`,
+      "application/json",
+    );
+  };
+
+  return (
+    <section className="connection-history" aria-label="Connection details">
+      <header className="connection-history-header">
+        <h2>Connection</h2>
+        <span className={`connection-history-badge ${status}`}>
+          {QUALITY_LABELS[quality]}
+        </span>
+      </header>
+
+      {/* Network Information API readings (Chromium browsers only) */}
+      <dl className="connection-history-network">
+        {network ? (
+          <>
+            <dt>Type</dt>
+            <dd>{network.effectiveType ?? "–"}</dd>
+            <dt>Downlink</dt>
+            <dd>
+              {network.downlink !== null ? `${network.downlink} Mbit/s` : "–"}
+            </dd>
+            <dt>Round trip</dt>
+            <dd>{network.rtt !== null ? `${network.rtt} ms` : "–"}</dd>
+            {network.saveData && (
+              <>
+                <dt>Data saver</dt>
+                <dd>On</dd>
+              </>
+            )}
+          </>
+        ) : (
+          <>
+            <dt>Network details</dt>
+            <dd>Not reported by this browser</dd>
+          </>
+        )}
+      </dl>
+
+      {/* Outage totals */}
+      <p className="connection-history-summary">
+        {summary.count === 0
+          ? "No outages so far."
+          : `${summary.count} ${summary.count === 1 ? "outage" : "outages"}, ${formatDuration(summary.total)} down in total, longest ${formatDuration(summary.longest)}.`}
+      </p>
+
+      <table className="connection-history-table">
+        <thead>
+          <tr>
+            <th scope="col">Since</th>
+            <th scope="col">Status</th>
+            <th scope="col">Lasted</th>
+          </tr>
+        </thead>
+        <tbody>
+          {periods.map((period) => (
+            <tr key={`${period.at}-${period.status}`} className={period.status}>
+              <td>
+                <time dateTime={new Date(period.at).toISOString()}>
+                  {new Date(period.at).toLocaleString()}
+                </time>
+              </td>
+              <td>{STATUS_LABELS[period.status]}</td>
+              <td>
+                {formatDuration(period.duration)}
+                {period.end === null && " (now)"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        type="button"
+        className="connection-history-export"
+        onClick={handleExport}
+      >
+        Export JSON
+      </button>
+    </section>
+  );
+}
+
+export default ConnectionHistory;
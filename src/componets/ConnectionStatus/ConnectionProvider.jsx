@@ -0,0 +1,21 @@
+import { ConnectionContext } from "./connectionContext";
+import useConnectionMonitor from "./useConnectionMonitor";
+
+/**
+ * Watches the connection once for the whole app; components below read it
+ * with useConnectionStatus().
+ *
+ * @param {Object} props - Monitor options (heartbeatUrl, heartbeatInterval,
+ *   heartbeatTimeout, heartbeatMaxInterval, queue, see useConnectionMonitor) and children
+ */
+function ConnectionProvider({ children, ...options }) {
+  const connection = useConnectionMonitor(options);
+
+  return (
+    <ConnectionContext.Provider value={connection}>
+      {children}
+    </ConnectionContext.Provider>
+  );
+}
+
+export default ConnectionProvider;
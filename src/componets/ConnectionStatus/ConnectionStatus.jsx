@@ -1,89 +1,136 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useConnectionStatus } from "./connectionContext";
+import { getConnectionMessages } from "./connectionMessages";
+import useRequestQueue from "./useRequestQueue";
+import RequestQueuePanel from "./RequestQueuePanel";
 import "./ConnectionStatus.css";
 
-const HIDE_DELAY = 2000; // Time to hide the online message after reconnecting (ms)
-const MESSAGES = {
-  OFFLINE: "Internet connection lost!",
-  ONLINE: "Internet Connection - Back online!",
-};
+// Time each message stays before it hides by itself (ms), 0 = until the status changes
+const DEFAULT_AUTO_HIDE = { online: 2000, degraded: 0, offline: 0 };
+const POSITIONS = ["top", "bottom", "toast"];
 
-function ConnectionStatus() {
-  // State to track if the user is online
-  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
-  // State to control visibility of the status message
-  const [showStatus, setShowStatus] = useState(false);
-  // State to store the current message to display
-  const [message, setMessage] = useState("");
-  // Ref to store the timeout ID for hiding the message
-  const timeoutRef = useRef(null);
-  // Ref to track if the user was previously offline
-  const wasOfflineRef = useRef(false);
+/**
+ * Banner shown while the connection is lost, and briefly once it is back.
+ * While requests wait in the offline queue it lists them, with progress
+ * while they are being sent again.
+ *
+ * Inside a ConnectionProvider it shows the provider's connection state and
+ * the heartbeat props are ignored; on its own it watches the connection itself.
+ *
+ * @param {Object} props
+ * @param {Object} [props.messages] - Texts replacing those of the locale, see connectionMessages.js;
+ *   offline, degraded and online may be render functions called with
+ *   { status, previousStatus, dismiss }
+ * @param {string} [props.locale] - BCP 47 locale of the texts, browser language when omitted
+ * @param {"top"|"bottom"|"toast"} [props.position="toast"] - Full-width bar at the top or
+ *   bottom of the page, or a toast in the bottom corner
+ * @param {Object} [props.autoHide] - Time (ms) before the message of a status hides by itself,
+ *   per status, e.g. { online: 2000, degraded: 10000 }; 0 keeps it until the status changes
+ * @param {boolean} [props.dismissible=true] - Show a button that hides the message
+ *   until the status changes
+ * @param {Function} [props.onChange] - Called with (status, previousStatus) when the status changes
+ * @param {string} [props.heartbeatUrl] - Endpoint answering 2xx, e.g. "/health"
+ * @param {number} [props.heartbeatInterval=30000] - Time between probes while reachable (ms)
+ * @param {number} [props.heartbeatTimeout=5000] - Time before a probe counts as failed (ms)
+ * @param {number} [props.heartbeatMaxInterval=300000] - Longest backoff between failed probes (ms)
+ * @param {Object|null} [props.queue] - Request queue to replay and show, offlineQueue by default
+ */
+function ConnectionStatus({
+  messages,
+  locale,
+  position = "toast",
+  autoHide,
+  dismissible = true,
+  onChange,
+  ...options
+}) {
+  // Connection: "online", "degraded" (server unreachable) or "offline"
+  const { status, queue } = useConnectionStatus(options);
+  // Requests waiting for the connection, and the progress of a replay
+  const { items, progress } = useRequestQueue(queue);
+  // Status of the previous render, to notice when the connection changes
+  const [previousStatus, setPreviousStatus] = useState(status);
+  // State for whether the message of the current status has been hidden
+  // (nothing to say while online on mount)
+  const [hidden, setHidden] = useState(status === "online");
+  // Status last reported to onChange
+  const reportedStatusRef = useRef(status);
 
-  // Utility function to clear any existing hide timeout
-  const clearHideTimeout = useCallback(() => {
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current);
-      timeoutRef.current = null;
-    }
-  }, []);
+  if (status !== previousStatus) {
+    setPreviousStatus(status);
+    // Every new status is announced, including being back online
+    setHidden(false);
+  }
 
-  // Function to update the connection status and message
-  const updateStatus = useCallback(
-    (online) => {
-      setIsOnline(online);
-      clearHideTimeout();
+  const hideDelay = { ...DEFAULT_AUTO_HIDE, ...autoHide }[status];
 
-      if (!online) {
-        // User went offline
-        setMessage(MESSAGES.OFFLINE);
-        setShowStatus(true);
-        wasOfflineRef.current = true;
-      } else if (wasOfflineRef.current) {
-        // User came back online after being offline
-        setMessage(MESSAGES.ONLINE);
-        setShowStatus(true);
-        // Hide the message after a delay
-        timeoutRef.current = setTimeout(() => {
-          setShowStatus(false);
-          wasOfflineRef.current = false;
-        }, HIDE_DELAY);
-      } else {
-        // User is online and was not previously offline
-        setShowStatus(false);
-      }
-    },
-    [clearHideTimeout],
-  );
-
-  // Effect to set up event listeners for online/offline events
+  // Effect to hide the message after the delay of its status
   useEffect(() => {
-    const handleOnline = () => updateStatus(true);
-    const handleOffline = () => updateStatus(false);
+    if (hidden || !hideDelay) return;
+    const timeout = setTimeout(() => setHidden(true), hideDelay);
+    return () => clearTimeout(timeout);
+  }, [status, hidden, hideDelay]);
 
-    window.addEventListener("online", handleOnline);
-    window.addEventListener("offline", handleOffline);
+  // Effect to report status changes
+  useEffect(() => {
+    const reported = reportedStatusRef.current;
+    if (reported === status) return;
+    reportedStatusRef.current = status;
+    onChange?.(status, reported);
+  }, [status, onChange]);
 
-    // Initial check on mount
-    updateStatus(navigator.onLine);
+  const texts = getConnectionMessages(locale, messages);
+  const hasQueue = items.length > 0 || progress !== null;
 
-    // Cleanup event listeners and timeout on unmount
-    return () => {
-      window.removeEventListener("online", handleOnline);
-      window.removeEventListener("offline", handleOffline);
-      clearHideTimeout();
-    };
-  }, [updateStatus, clearHideTimeout]);
+  // Don't render anything once the message is hidden, unless requests are queued
+  if (hidden && !hasQueue) return null;
 
-  // Don't render anything if the status message shouldn't be shown
-  if (!showStatus) return null;
+  const dismiss = () => setHidden(true);
+  const text = texts[status];
+  const message =
+    typeof text === "function"
+      ? text({ status, previousStatus, dismiss })
+      : text;
 
   return (
     <div
-      className={`connection-status ${isOnline ? "online" : "offline"}`}
-      role="alert"
-      aria-live="polite"
+      className={`connection-status ${status} ${POSITIONS.includes(position) ? position : "toast"}`}
     >
-      {message}
+      {!hidden && (
+        <div className="connection-status-message">
+          <div role="alert" aria-live="polite">
+            {message}
+          </div>
+          {dismissible && (
+            <button
+              type="button"
+              className="connection-status-dismiss"
+              onClick={dismiss}
+              aria-label={texts.dismiss}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      )}
+      {hasQueue && (
+        <RequestQueuePanel
+          items={items}
+          progress={progress}
+          canSend={status === "online" && progress === null}
+          messages={texts}
+          onSend={() =>
+            // Sending by hand also retries requests that failed before
+            queue
+              .replay({ force: true })
+              .catch((error) =>
+                console.error("Replaying queued requests failed:", error),
+              )
+          }
+          onDiscard={(id) => queue.discard(id)}
+          onDiscardAll={() => queue.discardAll()}
+        />
+      )}
     </div>
   );
 }
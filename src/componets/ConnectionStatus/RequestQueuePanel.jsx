@@ -0,0 +1,92 @@
+import { useState } from "react";
+
+/**
+ * Requests waiting in the offline queue, shown inside the connection banner.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.items - Queued requests, see createRequestQueue()
+ * @param {{done: number, total: number}|null} props.progress - Progress of a running replay
+ * @param {Object} props.messages - Texts, see getConnectionMessages()
+ * @param {boolean} props.canSend - Whether sending now can succeed (online, no replay running)
+ * @param {Function} props.onSend - Called to send the queued requests now, failed ones included
+ * @param {Function} props.onDiscard - Called with the id of a request to drop
+ * @param {Function} props.onDiscardAll - Called to drop every queued request
+ */
+function RequestQueuePanel({
+  items,
+  progress,
+  canSend,
+  messages,
+  onSend,
+  onDiscard,
+  onDiscardAll,
+}) {
+  // State for whether the list of queued requests is expanded
+  const [expanded, setExpanded] = useState(false);
+  const pending = items.length;
+
+  return (
+    <div className="connection-queue">
+      <div className="connection-queue-summary">
+        {progress ? (
+          <>
+            <span>{messages.replaying(progress.done, progress.total)}</span>
+            <progress value={progress.done} max={progress.total} />
+          </>
+        ) : (
+          <span>{messages.queued(pending)}</span>
+        )}
+        {pending > 0 && (
+          <button
+            type="button"
+            onClick={() => setExpanded((prev) => !prev)}
+            aria-expanded={expanded}
+          >
+            {expanded ? messages.hide : messages.show}
+          </button>
+        )}
+      </div>
+
+      {expanded && pending > 0 && (
+        <>
+          <ul className="connection-queue-list">
+            {items.map((item) => (
+              <li key={item.id}>
+                <code>{item.method}</code>
+                <span className="connection-queue-url" title={item.url}>
+                  {item.url}
+                </span>
+                <time dateTime={new Date(item.queuedAt).toISOString()}>
+                  {new Date(item.queuedAt).toLocaleTimeString()}
+                </time>
+                {/* Gave up after repeated network errors; "Send now" tries again */}
+                {item.failed && (
+                  <span className="connection-queue-failed">
+                    {messages.failed}
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onDiscard(item.id)}
+                  aria-label={messages.discard(item.method, item.url)}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="connection-queue-actions">
+            <button type="button" onClick={onSend} disabled={!canSend}>
+              {messages.sendNow}
+            </button>
+            <button type="button" onClick={onDiscardAll}>
+              {messages.discardAll}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RequestQueuePanel;
@@ -0,0 +1,28 @@
+import { createContext, useContext } from "react";
+import useConnectionMonitor from "./useConnectionMonitor";
+
+// Context holding the connection state shared by ConnectionProvider
+export const ConnectionContext = createContext(null);
+
+/**
+ * Connection state for any component.
+ *
+ * Inside a ConnectionProvider every caller shares the provider's monitor.
+ * Without one, the component watches the connection itself with `options`
+ * (see useConnectionMonitor), so widgets also work on their own.
+ *
+ * @param {Object} [options] - Monitor options, only used without a provider
+ * @returns {{status: string, isOnline: boolean, lastChangedAt: number, quality: string, network: Object|null, history: Array<Object>, queue: Object|null}}
+ *   - status: "online", "degraded" (server unreachable) or "offline"
+ *   - isOnline: true only when fully online, i.e. network actions can succeed
+ *   - lastChangedAt: timestamp (ms) of the last status change
+ *   - quality: "good", "slow" (2G or data saver), "unreachable" or "offline"
+ *   - network: effectiveType, downlink (Mbit/s), rtt (ms) and saveData, or null where unsupported
+ *   - history: transitions { status, at, network }, oldest first (see connectionOutages.js)
+ *   - queue: request queue replayed when back online (see requestQueue.js), or null
+ */
+export function useConnectionStatus(options) {
+  const shared = useContext(ConnectionContext);
+  const own = useConnectionMonitor({ ...options, enabled: shared === null });
+  return shared ?? own;
+}
@@ -0,0 +1,127 @@
+// Texts of the connection banner in every supported language.
+// Each catalog holds plain strings and, for texts with numbers in them,
+// functions; counts go through Intl.PluralRules so every language gets its
+// own plural forms.
+
+export const DEFAULT_LANGUAGE = "en";
+
+// Plural rules are cached per language
+const pluralRules = new Map();
+
+/**
+ * Picks the plural form of a count
+ * @param {string} language - Language of the forms
+ * @param {number} count
+ * @param {{one: string, other: string}} forms - Texts for one and for any other count
+ * @returns {string} The form, with "#" replaced by the count
+ */
+const plural = (language, count, forms) => {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+  const form = forms[pluralRules.get(language).select(count)] ?? forms.other;
+  return form.replace("#", count);
+};
+
+export const MESSAGE_CATALOGS = {
+  en: {
+    offline: "Internet connection lost!",
+    degraded: "Connected, but the server can't be reached.",
+    online: "Internet Connection - Back online!",
+    queued: (count) =>
+      plural("en", count, {
+        one: "# request waiting to be sent",
+        other: "# requests waiting to be sent",
+      }),
+    replaying: (done, total) => `Sending queued requests… ${done}/${total}`,
+    show: "Show",
+    hide: "Hide",
+    sendNow: "Send now",
+    discard: (method, url) => `Discard ${method} ${url}`,
+    discardAll: "Discard all",
+    failed: "Not sent",
+    dismiss: "Dismiss",
+  },
+  de: {
+    offline: "Internetverbindung unterbrochen!",
+    degraded: "Verbunden, aber der Server ist nicht erreichbar.",
+    online: "Internetverbindung – wieder online!",
+    queued: (count) =>
+      plural("de", count, {
+        one: "# Anfrage wartet auf das Senden",
+        other: "# Anfragen warten auf das Senden",
+      }),
+    replaying: (done, total) =>
+      `Wartende Anfragen werden gesendet… ${done}/${total}`,
+    show: "Anzeigen",
+    hide: "Ausblenden",
+    sendNow: "Jetzt senden",
+    discard: (method, url) => `${method} ${url} verwerfen`,
+    discardAll: "Alle verwerfen",
+    failed: "Nicht gesendet",
+    dismiss: "Schließen",
+  },
+  fr: {
+    offline: "Connexion Internet perdue !",
+    degraded: "Connecté, mais le serveur est injoignable.",
+    online: "Connexion Internet rétablie !",
+    queued: (count) =>
+      plural("fr", count, {
+        one: "# requête en attente d'envoi",
+        other: "# requêtes en attente d'envoi",
+      }),
+    replaying: (done, total) =>
+      `Envoi des requêtes en attente… ${done}/${total}`,
+    show: "Afficher",
+    hide: "Masquer",
+    sendNow: "Envoyer maintenant",
+    discard: (method, url) => `Supprimer ${method} ${url}`,
+    discardAll: "Tout supprimer",
+    failed: "Non envoyée",
+    dismiss: "Fermer",
+  },
+  es: {
+    offline: "¡Se perdió la conexión a Internet!",
+    degraded: "Conectado, pero no se puede acceder al servidor.",
+    online: "¡Conexión a Internet restablecida!",
+    queued: (count) =>
+      plural("es", count, {
+        one: "# solicitud pendiente de envío",
+        other: "# solicitudes pendientes de envío",
+      }),
+    replaying: (done, total) =>
+      `Enviando solicitudes pendientes… ${done}/${total}`,
+    show: "Mostrar",
+    hide: "Ocultar",
+    sendNow: "Enviar ahora",
+    discard: (method, url) => `Descartar ${method} ${url}`,
+    discardAll: "Descartar todo",
+    failed: "No enviada",
+    dismiss: "Cerrar",
+  },
+};
+
+/**
+ * Finds the catalog language for a locale: an exact match ("de"), then the
+ * language of a regional locale ("de-AT" → "de"), then English
+ * @param {string} [locale] - BCP 47 locale tag, browser language when omitted
+ * @returns {string} Key of MESSAGE_CATALOGS
+ */
+export const resolveLanguage = (locale = navigator.language) => {
+  const tag = (locale ?? DEFAULT_LANGUAGE).toLowerCase();
+  if (MESSAGE_CATALOGS[tag]) return tag;
+  const language = tag.split("-")[0];
+  return MESSAGE_CATALOGS[language] ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Banner texts for a locale, with some of them replaced
+ * @param {string} [locale] - BCP 47 locale tag, browser language when omitted
+ * @param {Object} [overrides] - Texts to use instead, keyed like the catalogs;
+ *   offline, degraded and online may also be render functions
+ * @returns {Object} Complete set of texts
+ */
+export const getConnectionMessages = (locale, overrides) => ({
+  ...MESSAGE_CATALOGS[resolveLanguage(locale)],
+  ...overrides,
+});
@@ -0,0 +1,103 @@
+// History helpers for the connection detail view.
+// The monitor records one entry { status, at, network } per transition; these
+// helpers turn that list into periods, outages and an exportable report.
+
+/**
+ * Periods between transitions: how long each status lasted.
+ * @param {Array<Object>} history - Transitions, oldest first
+ * @param {number} now - Current time (ms), ends the last period
+ * @returns {Array<Object>} Entries with `end` (null for the current status) and `duration` (ms)
+ */
+export const getHistoryPeriods = (history, now) =>
+  history.map((entry, index) => {
+    const end = index + 1 < history.length ? history[index + 1].at : null;
+    return { ...entry, end, duration: (end ?? now) - entry.at };
+  });
+
+/**
+ * Outages: stretches of time without a working connection. Being offline and
+ * being unable to reach the server ("degraded") in a row count as one outage.
+ * @param {Array<Object>} history - Transitions, oldest first
+ * @param {number} now - Current time (ms), ends an ongoing outage
+ * @returns {Array<{start: number, end: number|null, duration: number}>} Oldest first;
+ *   end is null while the outage lasts
+ */
+export const getOutages = (history, now) => {
+  const outages = [];
+  for (const period of getHistoryPeriods(history, now)) {
+    const last = outages.at(-1);
+    if (period.status === "online") continue;
+    if (last && last.end === period.at) {
+      // Continues the previous outage (e.g. offline, then server unreachable)
+      last.end = period.end;
+      last.duration = (period.end ?? now) - last.start;
+    } else {
+      outages.push({
+        start: period.at,
+        end: period.end,
+        duration: period.duration,
+      });
+    }
+  }
+  return outages;
+};
+
+/**
+ * Totals for "how flaky is the connection?"
+ * @param {Array<Object>} outages - Result of getOutages()
+ * @returns {{count: number, total: number, longest: number}} Number of outages
+ *   and total and longest downtime (ms)
+ */
+export const summarizeOutages = (outages) => ({
+  count: outages.length,
+  total: outages.reduce((sum, outage) => sum + outage.duration, 0),
+  longest: Math.max(0, ...outages.map((outage) => outage.duration)),
+});
+
+/**
+ * Formats a duration for display.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} E.g. "1h 5m", "3m 12s" or "45s"
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+/**
+ * Report of the connection history as JSON, for support requests.
+ * @param {Array<Object>} history - Transitions, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time of the export (ms)
+ * @param {Object|null} [options.network=null] - Current Network Information API readings
+ * @returns {string} Indented JSON with ISO timestamps and durations in ms
+ */
+export const exportHistory = (
+  history,
+  { now = Date.now(), network = null } = {},
+) => {
+  const outages = getOutages(history, now);
+  const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+  const report = {
+    exportedAt: toIso(now),
+    userAgent: navigator.userAgent,
+    network,
+    summary: summarizeOutages(outages),
+    outages: outages.map((outage) => ({
+      ...outage,
+      start: toIso(outage.start),
+      end: toIso(outage.end),
+    })),
+    transitions: getHistoryPeriods(history, now).map((period) => ({
+      ...period,
+      at: toIso(period.at),
+      end: toIso(period.end),
+    })),
+  };
+  return JSON.stringify(report, null, 2);
+};
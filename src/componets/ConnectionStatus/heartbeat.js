@@ -0,0 +1,39 @@
+// Reachability probing for ConnectionStatus.
+// navigator.onLine only knows whether a network interface is up, so captive
+// portals and dead Wi-Fi still count as "online". A heartbeat request to a
+// known endpoint tells whether the server can actually be reached.
+// In development the Vite server answers at /health; /health/down and
+// /health/up switch that stub off and on (see vite.config.js).
+
+/**
+ * Requests the heartbeat URL once.
+ * @param {string} url - Endpoint that answers with a 2xx status
+ * @param {number} timeout - Milliseconds before the probe counts as failed
+ * @returns {Promise<boolean>} True when the endpoint answered in time with a 2xx status
+ */
+export const probeHeartbeat = async (url, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, {
+      cache: "no-store",
+      signal: controller.signal,
+    });
+    return response.ok;
+  } catch {
+    // Network error or timeout
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Delay before the next probe: the interval, doubled after each consecutive failure.
+ * @param {number} interval - Delay while the server is reachable (ms)
+ * @param {number} failures - Consecutive failed probes
+ * @param {number} maxDelay - Upper bound of the backoff (ms)
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (interval, failures, maxDelay) =>
+  Math.min(interval * 2 ** failures, Math.max(interval, maxDelay));
@@ -0,0 +1,104 @@
+// Persistence of the offline request queue.
+// Queued requests are kept in IndexedDB so they survive a reload or a closed
+// tab. Where IndexedDB is missing or can't be opened (some private modes), the
+// queue still works for the lifetime of the page, in memory.
+
+const DATABASE_VERSION = 1;
+const STORE_NAME = "requests";
+
+/**
+ * Opens (and on first use creates) the queue database.
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      // Auto-incremented ids keep the requests in the order they were queued
+      request.result.createObjectStore(STORE_NAME, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Runs one operation in its own transaction.
+ * @param {IDBDatabase} database
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction has committed
+ */
+const runTransaction = (database, mode, operation) =>
+  new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+const createDatabaseStorage = (database) => ({
+  getAll: () => runTransaction(database, "readonly", (store) => store.getAll()),
+  add: (entry) =>
+    runTransaction(database, "readwrite", (store) => store.add(entry)),
+  put: (entry) =>
+    runTransaction(database, "readwrite", (store) => store.put(entry)),
+  remove: (id) =>
+    runTransaction(database, "readwrite", (store) => store.delete(id)),
+  clear: () => runTransaction(database, "readwrite", (store) => store.clear()),
+});
+
+const createMemoryStorage = () => {
+  let entries = [];
+  let nextId = 1;
+  return {
+    getAll: async () => [...entries],
+    add: async (entry) => {
+      const id = nextId++;
+      entries.push({ ...entry, id });
+      return id;
+    },
+    put: async (entry) => {
+      entries = entries.map((stored) =>
+        stored.id === entry.id ? entry : stored,
+      );
+    },
+    remove: async (id) => {
+      entries = entries.filter((entry) => entry.id !== id);
+    },
+    clear: async () => {
+      entries = [];
+    },
+  };
+};
+
+/**
+ * Storage of queued requests; the database is opened on first use.
+ * @param {string} databaseName - IndexedDB database name
+ * @returns {{getAll: Function, add: Function, put: Function, remove: Function, clear: Function}}
+ *   Async methods: getAll() resolves to the entries in queue order, add(entry)
+ *   to the id given to the new entry, put(entry) replaces the entry with its id
+ */
+export const createQueueStorage = (databaseName) => {
+  let storage = null;
+  const open = () =>
+    (storage ??=
+      typeof indexedDB === "undefined"
+        ? Promise.resolve(createMemoryStorage())
+        : openDatabase(databaseName).then(
+            createDatabaseStorage,
+            createMemoryStorage,
+          ));
+
+  return {
+    getAll: async () => (await open()).getAll(),
+    add: async (entry) => (await open()).add(entry),
+    put: async (entry) => (await open()).put(entry),
+    remove: async (id) => (await open()).remove(id),
+    clear: async () => (await open()).clear(),
+  };
+};
@@ -0,0 +1,244 @@
+// Offline request queue for ConnectionStatus.
+// Requests that change something (POST, PUT, DELETE, ...) made while the
+// connection is down are not lost: queuedFetch() stores them and they are sent
+// again, in the order they were made, once the connection is back.
+// Reading requests (GET, HEAD) are never queued; their answer would come too late.
+// A request that fails to send holds up the requests queued after it, since
+// they may depend on it (a PUT then a DELETE of the same URL). It is retried
+// with backoff and, after MAX_REPLAY_ATTEMPTS, marked failed: it then stays in
+// the queue for the user to send again or discard, and the rest goes ahead.
+
+import { createQueueStorage } from "./queueStorage";
+
+export const DEFAULT_QUEUE_DATABASE = "connection-queue";
+// Header of the placeholder response returned for a queued request
+export const QUEUED_HEADER = "X-Request-Queued";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Replays a request gets before it is marked failed
+export const MAX_REPLAY_ATTEMPTS = 5;
+// Wait before the first retry (ms); doubles with every attempt, up to MAX_RETRY_DELAY
+const RETRY_DELAY = 5 * 1000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Whether a request waits for the retry of an earlier failed replay
+const isWaiting = (item, now) => item.retryAt > now;
+
+/**
+ * Creates a queue of requests waiting for the connection.
+ *
+ * The queue is an external store: subscribe(listener) and getSnapshot() can be
+ * passed to useSyncExternalStore. The snapshot is
+ * { items, progress } where items are the queued requests in order
+ * ({ id, method, url, headers, body, queuedAt, attempts, retryAt, failed })
+ * and progress is { done, total } while a replay runs, null otherwise.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.databaseName="connection-queue"] - IndexedDB database the queue is kept in
+ * @param {Function} [options.onReplay] - Called with (item, response) for each replayed request
+ * @param {Function} [options.onFailed] - Called with (item, error) when a request is marked failed
+ * @returns {Object} Queue API
+ *   - fetch(input, init): like window.fetch, but queues the request when it can't be sent
+ *   - replay({ force }): sends the queued requests in order, stopping at the
+ *     first one that can't be sent or waits for a retry; with force, also those
+ *     waiting for a retry or marked failed. Resolves to the number sent
+ *   - discard(id) / discardAll(): drop queued requests without sending them
+ *   - subscribe(listener), getSnapshot(): external store interface
+ */
+export const createRequestQueue = ({
+  databaseName = DEFAULT_QUEUE_DATABASE,
+  onReplay,
+  onFailed,
+} = {}) => {
+  const storage = createQueueStorage(databaseName);
+  const listeners = new Set();
+  let snapshot = { items: [], progress: null };
+  let loading = null;
+  let replaying = null;
+  let retryTimer = null;
+
+  const update = (changes) => {
+    snapshot = { ...snapshot, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  // Requests queued in an earlier visit are read once, on first use;
+  // after a failure the next use tries again
+  const load = () =>
+    (loading ??= storage.getAll().then(
+      (stored) => {
+        // Anything queued while loading is already stored, so stored is complete
+        update({ items: stored });
+      },
+      (error) => {
+        loading = null;
+        throw error;
+      },
+    ));
+
+  const enqueue = async (request) => {
+    const body = await request.arrayBuffer();
+    const entry = {
+      method: request.method,
+      url: request.url,
+      headers: [...request.headers],
+      body: body.byteLength > 0 ? body : null,
+      queuedAt: Date.now(),
+      attempts: 0, // Replays that failed with a network error
+      retryAt: null, // Time of the next automatic replay after a failed one
+      failed: false, // Gave up after MAX_REPLAY_ATTEMPTS
+    };
+    await load();
+    const id = await storage.add(entry);
+    update({ items: [...snapshot.items, { ...entry, id }] });
+  };
+
+  const discard = async (id) => {
+    await storage.remove(id);
+    update({ items: snapshot.items.filter((item) => item.id !== id) });
+  };
+
+  const discardAll = async () => {
+    await storage.clear();
+    update({ items: [] });
+  };
+
+  /**
+   * Fetch that queues requests it can't send right now.
+   * While offline, or when the request fails with a network error, a
+   * changing request is queued and a placeholder 202 response carrying the
+   * X-Request-Queued header is returned instead.
+   */
+  const queuedFetch = async (input, init) => {
+    const request = new Request(input, init);
+    if (SAFE_METHODS.includes(request.method)) return fetch(request);
+
+    if (navigator.onLine) {
+      try {
+        return await fetch(request.clone());
+      } catch (error) {
+        if (error.name === "AbortError") throw error; // Cancelled on purpose
+        // Network error: the server can't be reached, so the request waits
+      }
+    }
+
+    await enqueue(request);
+    return new Response(null, {
+      status: 202,
+      statusText: "Queued",
+      headers: { [QUEUED_HEADER]: "true" },
+    });
+  };
+
+  // Records a replay that failed with a network error: the request waits
+  // twice as long as the last time, or is marked failed after the last attempt
+  const recordFailure = async (item, error) => {
+    const attempts = (item.attempts ?? 0) + 1;
+    const failed = attempts >= MAX_REPLAY_ATTEMPTS;
+    const delay = Math.min(RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+    const updated = {
+      ...item,
+      attempts,
+      failed,
+      retryAt: failed ? null : Date.now() + delay,
+    };
+    await storage.put(updated);
+    update({
+      items: snapshot.items.map((entry) =>
+        entry.id === item.id ? updated : entry,
+      ),
+    });
+    if (failed) onFailed?.(updated, error);
+  };
+
+  // Replays again when the earliest retry is due
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    const times = snapshot.items
+      .filter((item) => !item.failed && item.retryAt !== null)
+      .map((item) => item.retryAt);
+    if (times.length === 0) return;
+    retryTimer = setTimeout(
+      () => {
+        if (!navigator.onLine) return; // Going online replays anyway
+        replay().catch((error) =>
+          console.error("Replaying queued requests failed:", error),
+        );
+      },
+      Math.max(0, Math.min(...times) - Date.now()),
+    );
+  };
+
+  // Sends the queued requests one at a time, oldest first. A request the
+  // server answered leaves the queue whatever the status; the replay stops at
+  // one that fails with a network error, or still waits for its retry, and
+  // the next replay starts again from it. Requests marked failed are skipped
+  // unless forced.
+  const replay = ({ force = false } = {}) =>
+    (replaying ??= (async () => {
+      clearTimeout(retryTimer);
+      let done = 0;
+      try {
+        await load();
+        while (navigator.onLine) {
+          // Requests queued or discarded meanwhile change the total
+          const pending = snapshot.items.filter(
+            (item) => force || !item.failed,
+          );
+          if (pending.length === 0) break;
+          const [item] = pending;
+          if (!force && isWaiting(item, Date.now())) break;
+          update({ progress: { done, total: done + pending.length } });
+          let response;
+          try {
+            response = await fetch(item.url, {
+              method: item.method,
+              headers: item.headers,
+              body: item.body,
+            });
+          } catch (error) {
+            // Offline again is not the request's fault; either way the
+            // requests after it wait
+            if (navigator.onLine) await recordFailure(item, error);
+            break;
+          }
+          await discard(item.id);
+          done++;
+          onReplay?.(item, response);
+        }
+      } finally {
+        replaying = null;
+        update({ progress: null });
+        scheduleRetry();
+      }
+      return done;
+    })());
+
+  return {
+    fetch: queuedFetch,
+    replay,
+    discard,
+    discardAll,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      load().catch((error) =>
+        console.error("Loading queued requests failed:", error),
+      );
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+};
+
+// Queue shared by the app, see queuedFetch
+export const offlineQueue = createRequestQueue();
+
+/**
+ * fetch() for requests that must not be lost offline; uses offlineQueue.
+ * @param {RequestInfo} input - URL or Request
+ * @param {RequestInit} [init] - Same options as fetch()
+ * @returns {Promise<Response>} The server's response, or a 202 placeholder
+ *   with the X-Request-Queued header when the request was queued
+ */
+export const queuedFetch = offlineQueue.fetch;
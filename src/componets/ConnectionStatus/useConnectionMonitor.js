@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { probeHeartbeat, getBackoffDelay } from "./heartbeat";
+import { offlineQueue } from "./requestQueue";
+
+// Effective connection types (Network Information API) considered slow
+const SLOW_CONNECTION_TYPES = ["slow-2g", "2g"];
+// Transitions kept in the history; older ones are dropped
+const MAX_HISTORY = 200;
+
+// Reads the Network Information API, where the browser has it (Chromium only).
+const readNetworkInfo = () => {
+  const connection = navigator.connection;
+  if (!connection) return null;
+  return {
+    effectiveType: connection.effectiveType ?? null,
+    downlink: connection.downlink ?? null, // Mbit/s
+    rtt: connection.rtt ?? null, // ms
+    saveData: connection.saveData ?? false,
+  };
+};
+
+// History entry for a status the connection has just reached
+const createHistoryEntry = (status) => ({
+  status,
+  at: Date.now(),
+  network: readNetworkInfo(),
+});
+
+/**
+ * Watches the connection: browser online/offline events, optional heartbeat
+ * probing and the Network Information API.
+ *
+ * Without `heartbeatUrl` it trusts navigator.onLine. With it, the URL is
+ * requested every `heartbeatInterval` ms while the browser reports a network;
+ * failed probes mark the connection "degraded" (network up, server
+ * unreachable) and back off exponentially up to `heartbeatMaxInterval`.
+ * Whenever the connection is back online, requests waiting in `queue` are
+ * sent again.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.heartbeatUrl] - Endpoint answering 2xx, e.g. "/health"
+ * @param {number} [options.heartbeatInterval=30000] - Time between probes while reachable (ms)
+ * @param {number} [options.heartbeatTimeout=5000] - Time before a probe counts as failed (ms)
+ * @param {number} [options.heartbeatMaxInterval=300000] - Longest backoff between failed probes (ms)
+ * @param {Object|null} [options.queue=offlineQueue] - Request queue replayed when back online, null for none
+ * @param {boolean} [options.enabled=true] - When false, nothing is watched or replayed
+ * @returns {Object} Connection state, see useConnectionStatus()
+ */
+function useConnectionMonitor({
+  heartbeatUrl,
+  heartbeatInterval = 30000,
+  heartbeatTimeout = 5000,
+  heartbeatMaxInterval = 300000,
+  queue = offlineQueue,
+  enabled = true,
+} = {}) {
+  // State for the transitions of the connection ("online", "degraded" or "offline"), oldest first
+  const [history, setHistory] = useState(() => [
+    createHistoryEntry(navigator.onLine ? "online" : "offline"),
+  ]);
+  // State for the Network Information API readings (null where unsupported)
+  const [network, setNetwork] = useState(readNetworkInfo);
+
+  // Function to update the connection status, recording the transition
+  const updateStatus = useCallback((status) => {
+    setHistory((prev) =>
+      prev.at(-1).status === status
+        ? prev
+        : [...prev, createHistoryEntry(status)].slice(-MAX_HISTORY),
+    );
+  }, []);
+
+  const { status, at: lastChangedAt } = history.at(-1);
+
+  // Effect to set up event listeners for online/offline events and heartbeat probing
+  useEffect(() => {
+    if (!enabled) return;
+    let probeTimer = null;
+    let failures = 0;
+    // Each check gets a number; results of superseded probes are ignored
+    let checkId = 0;
+
+    const check = async () => {
+      const id = ++checkId;
+      clearTimeout(probeTimer);
+
+      if (!navigator.onLine || !heartbeatUrl) {
+        // Nothing to probe: trust the browser (the "online" event restarts probing)
+        updateStatus(navigator.onLine ? "online" : "offline");
+        return;
+      }
+
+      const reachable = await probeHeartbeat(heartbeatUrl, heartbeatTimeout);
+      if (id !== checkId) return;
+      failures = reachable ? 0 : failures + 1;
+      if (!navigator.onLine) return; // The "offline" event already reported it
+
+      updateStatus(reachable ? "online" : "degraded");
+      probeTimer = setTimeout(
+        check,
+        getBackoffDelay(heartbeatInterval, failures, heartbeatMaxInterval),
+      );
+    };
+
+    const handleOffline = () => {
+      checkId++; // Drop the result of a probe still in flight
+      clearTimeout(probeTimer);
+      updateStatus("offline");
+    };
+
+    // Coming back online is confirmed by a probe before it is reported
+    window.addEventListener("online", check);
+    window.addEventListener("offline", handleOffline);
+
+    // Initial check on mount
+    check();
+
+    // Cleanup event listeners and probes on unmount
+    return () => {
+      checkId++;
+      clearTimeout(probeTimer);
+      window.removeEventListener("online", check);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [
+    enabled,
+    updateStatus,
+    heartbeatUrl,
+    heartbeatInterval,
+    heartbeatTimeout,
+    heartbeatMaxInterval,
+  ]);
+
+  // Effect to follow changes reported by the Network Information API
+  useEffect(() => {
+    const info = navigator.connection;
+    if (!enabled || !info) return;
+    const handleChange = () => setNetwork(readNetworkInfo());
+    info.addEventListener("change", handleChange);
+    return () => info.removeEventListener("change", handleChange);
+  }, [enabled]);
+
+  // Effect to send queued requests once the connection is back (or on mount when online)
+  useEffect(() => {
+    if (!enabled || !queue || status !== "online") return;
+    queue
+      .replay()
+      .catch((error) =>
+        console.error("Replaying queued requests failed:", error),
+      );
+  }, [enabled, queue, status]);
+
+  return useMemo(() => {
+    const isSlow =
+      network !== null &&
+      (SLOW_CONNECTION_TYPES.includes(network.effectiveType) ||
+        network.saveData);
+    return {
+      status,
+      isOnline: status === "online",
+      lastChangedAt,
+      quality:
+        status === "offline"
+          ? "offline"
+          : status === "degraded"
+            ? "unreachable"
+            : isSlow
+              ? "slow"
+              : "good",
+      network,
+      history,
+      queue,
+    };
+  }, [status, lastChangedAt, network, history, queue]);
+}
+
+export default useConnectionMonitor;
@@ -0,0 +1,21 @@
+import { useSyncExternalStore } from "react";
+
+// Snapshot of a queue that can't hold anything
+const EMPTY_QUEUE = { items: [], progress: null };
+const subscribeNothing = () => () => {};
+const getEmptySnapshot = () => EMPTY_QUEUE;
+
+/**
+ * Current contents of a request queue, re-rendering when it changes.
+ * @param {Object|null} queue - Queue from createRequestQueue(), or null
+ * @returns {{items: Array<Object>, progress: {done: number, total: number}|null}}
+ *   Queued requests in order, and the progress of a running replay
+ */
+function useRequestQueue(queue) {
+  return useSyncExternalStore(
+    queue ? queue.subscribe : subscribeNothing,
+    queue ? queue.getSnapshot : getEmptySnapshot,
+  );
+}
+
+export default useRequestQueue;
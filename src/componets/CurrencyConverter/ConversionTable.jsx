@@ -0,0 +1,150 @@
+// React hook for state management
+import { useState } from "react";
+// Table rows and CSV export
+import { buildConversionRows, conversionTableToCsv } from "./conversionRows";
+// Amount and rate formatting
+import { formatCurrency, formatRate, roundAmount } from "./currencyFormat";
+// Searchable currency picker for adding columns
+import CurrencyPicker from "./CurrencyPicker";
+// File download of the CSV export
+import { downloadFile } from "../../utils/download";
+
+/**
+ * Converts one amount into several currencies at once
+ *
+ * @param {Object} props
+ * @param {Decimal|null} props.amount - Amount in the input currency, null when none is entered
+ * @param {string} props.currency - Input currency
+ * @param {Object<string, number>} props.rates - Rate table of the input currency (exchangeRates)
+ * @param {string[]} props.targets - Currencies to convert into, in display order
+ * @param {Function} props.onTargetsChange - Called with the new list of target currencies
+ * @param {Array<Object>} props.catalog - Currencies that can be added, see buildCatalog()
+ * @param {string[]} props.favorites - Codes of the favorite currencies
+ * @param {Function} props.onToggleFavorite - Called with a code to pin or unpin it
+ * @param {string} [props.locale] - BCP 47 locale of amounts and rates
+ * @param {string} props.roundingMode - One of ROUNDING_MODES in utils/decimal.js
+ * @returns {JSX.Element} Rendered table
+ */
+const ConversionTable = ({
+  amount,
+  currency,
+  rates,
+  targets,
+  onTargetsChange,
+  catalog,
+  favorites,
+  onToggleFavorite,
+  locale,
+  roundingMode,
+}) => {
+  // State for the currency picked to be added
+  const [picked, setPicked] = useState(null);
+
+  // Currencies not in the table yet; the pick falls back to the first of them
+  const addable = catalog.filter(
+    (entry) => entry.code !== currency && !targets.includes(entry.code)
+  );
+  const candidate = addable.some((entry) => entry.code === picked)
+    ? picked
+    : addable[0]?.code;
+
+  const rows = buildConversionRows(amount, rates, targets, roundingMode);
+  const getName = (code) =>
+    catalog.find((entry) => entry.code === code)?.name ?? code;
+
+  const handleExport = () => {
+    const csv = conversionTableToCsv(rows, { currency, amount, getName });
+    downloadFile(csv, `conversions-${currency}.csv`, "text/csv");
+  };
+
+  return (
+    <div className="conversion-table">
+      {/* Add a currency to the table */}
+      {candidate && (
+        <div className="conversion-table-add">
+          <CurrencyPicker
+            label="Add currency"
+            value={candidate}
+            onChange={setPicked}
+            catalog={addable}
+            favorites={favorites}
+            onToggleFavorite={onToggleFavorite}
+          />
+          <button
+            type="button"
+            onClick={() => onTargetsChange([...targets, candidate])}
+          >
+            Add
+          </button>
+        </div>
+      )}
+
+      <table>
+        <caption>
+          {amount
+            ? formatCurrency(
+                roundAmount(amount, currency, roundingMode),
+                currency,
+                locale
+              )
+            : currency}{" "}
+          in other currencies
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col">Currency</th>
+            <th scope="col">Rate</th>
+            <th scope="col">Inverse rate</th>
+            <th scope="col">Converted</th>
+            <th scope="col">
+              <span className="visually-hidden">Remove</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.code}>
+              <th scope="row" title={getName(row.code)}>
+                {row.code}
+              </th>
+              <td>{row.rate === null ? "–" : formatRate(row.rate, locale)}</td>
+              <td>
+                {row.inverseRate === null
+                  ? "–"
+                  : formatRate(row.inverseRate, locale)}
+              </td>
+              <td>
+                {row.converted === null
+                  ? "–"
+                  : formatCurrency(row.converted, row.code, locale)}
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="conversion-table-remove"
+                  onClick={() =>
+                    onTargetsChange(targets.filter((code) => code !== row.code))
+                  }
+                  aria-label={`Remove ${row.code}`}
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        type="button"
+        className="conversion-table-export"
+        onClick={handleExport}
+        disabled={rows.length === 0}
+      >
+        Export CSV
+      </button>
+    </div>
+  );
+};
+
+export default ConversionTable;
@@ -1,149 +1,474 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
+import { useConnectionStatus } from "../ConnectionStatus/connectionContext";
+import { RateProviderError, useRateProvider } from "./rateProviders";
+import {
+  DEFAULT_RATE_CACHE_KEY,
+  DEFAULT_RATE_TTL,
+  getRetryDelay,
+  getTimeToStale,
+  readCachedRates,
+  writeCachedRates,
+} from "./rateCache";
+import { DEFAULT_CURRENCIES, buildCatalog } from "./currencyCatalog";
+import {
+  addRecentPair,
+  loadFavorites,
+  loadRecentPairs,
+  loadTableCurrencies,
+  saveFavorites,
+  saveRecentPairs,
+  saveTableCurrencies,
+} from "./currencyPreferences";
+import { DEFAULT_TABLE_CURRENCIES } from "./conversionRows";
+import {
+  formatAmountInput,
+  formatCurrency,
+  formatRate,
+  getMinorUnits,
+  parseAmount,
+  roundAmount,
+} from "./currencyFormat";
+import CurrencyPicker from "./CurrencyPicker";
+import ConversionTable from "./ConversionTable";
+import { Decimal, DEFAULT_ROUNDING } from "../../utils/decimal";
+import { getNumberLocale } from "../../utils/numberLocale";
 import "./CurrencyConverter.css";
 
-// Cache for exchange rates (move outside the component to persist across renders)
-const exchangeRateCache = new Map();
-
-const CurrencyConverter = () => {
+/**
+ * Currency Converter Component
+ * Converts an amount between currencies using the rates of a rate provider
+ *
+ * @param {Object} props
+ * @param {Object} [props.provider] - Rate provider (see rateProviders.js); the one of the
+ *   nearest RateProviderContext, or exchangerate-api.com, when omitted
+ * @param {number} [props.cacheTtl=3600000] - Time fetched rates count as current (ms);
+ *   older rates are still shown while newer ones load, and marked stale (and retried with
+ *   backoff) when they can't
+ * @param {string} [props.cacheStorageKey="currency-converter-rates"] - localStorage key of the rate cache
+ * @param {string} [props.locale] - BCP 47 locale of currency names, amounts and typed input,
+ *   browser default when omitted
+ * @param {string} [props.roundingMode="half-up"] - How converted amounts are rounded to the
+ *   minor units of their currency, one of ROUNDING_MODES in utils/decimal.js
+ * @returns {JSX.Element} Rendered converter
+ */
+const CurrencyConverter = ({
+  provider,
+  cacheTtl = DEFAULT_RATE_TTL,
+  cacheStorageKey = DEFAULT_RATE_CACHE_KEY,
+  locale,
+  roundingMode = DEFAULT_ROUNDING,
+}) => {
   // State variables for managing input and output currencies, amount, and results
   const [inputCurrency, setInputCurrency] = useState("USD"); // Default input currency
   const [outputCurrency, setOutputCurrency] = useState("EUR"); // Default output currency
-  const [amount, setAmount] = useState(0); // Amount to be converted
-  const [convertedAmount, setConvertedAmount] = useState(null); // Result of the conversion
+  // The amount typed last, and whether it was typed in the "from" or the "to" field;
+  // the other field is calculated from it
+  const [typedAmount, setTypedAmount] = useState({ side: "from", text: "1" });
   const [error, setError] = useState(""); // Error message state
-  const [exchangeRates, setExchangeRates] = useState({}); // Exchange rates for the selected input currency
+  const [rateEntry, setRateEntry] = useState(null); // Rate table for the selected input currency and when it was fetched
   const [isLoading, setIsLoading] = useState(false); // Loading state for API calls
+  const [isStale, setIsStale] = useState(false); // Rates are past their TTL and couldn't be updated
+  const [refreshCount, setRefreshCount] = useState(0); // Bumped when cached rates expire, to fetch new ones
+  const failedRefreshes = useRef(0); // Refreshes that failed in a row, for the retry backoff
+  const { isOnline } = useConnectionStatus(); // Rates can't be fetched while offline
+  const contextProvider = useRateProvider();
+  const rateProvider = provider ?? contextProvider; // Where the rates come from
+  const cacheId = rateProvider.cacheId ?? rateProvider.name; // Keys its cached rates
+  // Providers with local rates keep working offline
+  const canFetch = isOnline || rateProvider.requiresNetwork === false;
+
+  const [favorites, setFavorites] = useState(loadFavorites); // Currencies pinned to the top of the pickers
+  const [recentPairs, setRecentPairs] = useState(loadRecentPairs); // Last converted pairs, most recent first
+  const [mode, setMode] = useState("converter"); // "converter" for one pair, "table" for many currencies
+  const [tableCurrencies, setTableCurrencies] = useState(
+    () => loadTableCurrencies() ?? DEFAULT_TABLE_CURRENCIES
+  ); // Target currencies of the table, in display order
 
-  // List of supported currencies
-  const currencies = [
-    "USD",
-    "EUR",
-    "GBP",
-    "JPY",
-    "AUD",
-    "CAD",
-    "CHF",
-    "CNY",
-    "INR",
-  ];
+  // Persist favorites, recent pairs and table currencies whenever they change
+  useEffect(() => saveFavorites(favorites), [favorites]);
+  useEffect(() => saveRecentPairs(recentPairs), [recentPairs]);
+  useEffect(() => saveTableCurrencies(tableCurrencies), [tableCurrencies]);
 
   // Fetch exchange rates and cache them
   useEffect(() => {
+    // Lets a newer request (other currency or provider) cancel this one
+    const controller = new AbortController();
+    let refreshTimer = null;
+
+    // Fetch again after a delay (ms)
+    const scheduleRefresh = (delay) => {
+      refreshTimer = setTimeout(
+        () => setRefreshCount((count) => count + 1),
+        Math.max(0, delay)
+      );
+    };
+
     const fetchExchangeRates = async () => {
       // Check if exchange rates for the selected input currency are already cached
-      if (exchangeRateCache.has(inputCurrency)) {
-        setExchangeRates(exchangeRateCache.get(inputCurrency)); // Use cached rates
+      const cached = readCachedRates(cacheStorageKey, cacheId, inputCurrency);
+      setRateEntry(cached); // Cached rates are shown right away, even when old
+      setError(""); // Errors of an earlier request no longer apply
+      if (cached && getTimeToStale(cached, cacheTtl) > 0) {
+        setIsStale(false);
+        setIsLoading(false);
+        scheduleRefresh(getTimeToStale(cached, cacheTtl)); // Fetch again once the rates reach their TTL
+        return;
+      }
+      if (!canFetch) {
+        // Offline: old rates are marked stale, missing ones fetched once the connection is back
+        setIsStale(cached !== null);
+        setIsLoading(false);
         return;
       }
 
-      setIsLoading(true); // Set loading state to true while fetching data
+      // Old rates stay usable while new ones load in the background
+      setIsLoading(cached === null);
       try {
-        // Fetch exchange rates from the API
-        const response = await fetch(
-          `https://api.exchangerate-api.com/v4/latest/${inputCurrency}`
-        );
-        const data = await response.json();
-        if (data && data.rates) {
-          setExchangeRates(data.rates); // Update exchange rates state
-          exchangeRateCache.set(inputCurrency, data.rates); // Cache the fetched rates
-          setError(""); // Clear any previous error
-        } else {
-          setError("Failed to fetch exchange rates."); // Handle invalid API response
-        }
+        // Fetch exchange rates from the provider, which validates them
+        const table = await rateProvider.getRates(inputCurrency, {
+          signal: controller.signal,
+        });
+        const entry = writeCachedRates(cacheStorageKey, cacheId, table); // Cache the fetched rates
+        setRateEntry(entry); // Update exchange rates state
+        setIsStale(false);
+        setError(""); // Clear any previous error
+        failedRefreshes.current = 0;
+        scheduleRefresh(getTimeToStale(entry, cacheTtl));
       } catch (error) {
+        if (error.name === "AbortError") return; // Replaced by a newer request
         console.error("Error fetching exchange rates:", error); // Log the error
-        setError("Failed to fetch exchange rates. Please try again later."); // Display user-friendly error
+        if (cached) {
+          setIsStale(true); // Keep converting with the old rates
+          // Try again later, waiting longer after every failure in a row
+          failedRefreshes.current += 1;
+          scheduleRefresh(getRetryDelay(failedRefreshes.current));
+          return;
+        }
+        // Provider errors explain themselves; anything else gets a generic message
+        setError(
+          error instanceof RateProviderError
+            ? error.message
+            : "Failed to fetch exchange rates. Please try again later."
+        );
       } finally {
-        setIsLoading(false); // Set loading state to false after fetching
+        if (!controller.signal.aborted) setIsLoading(false); // Set loading state to false after fetching
       }
     };
 
-    fetchExchangeRates(); // Call the function whenever the input currency changes
-  }, [inputCurrency]);
-
-  // Handle the conversion logic
-  const handleConvertButton = () => {
-    // Validate the amount
-    if (amount <= 0) {
-      setError("Please enter a valid amount greater than zero."); // Display error for invalid amount
-      return;
-    }
-
-    // Check if the exchange rate for the output currency is available
-    if (exchangeRates[outputCurrency]) {
-      const rate = exchangeRates[outputCurrency]; // Get the exchange rate
-      setConvertedAmount((amount * rate).toFixed(2)); // Calculate and set the converted amount
-      setError(""); // Clear any previous error
-    } else {
-      setError("Conversion rate not available for the selected currency."); // Handle missing exchange rate
-    }
+    fetchExchangeRates(); // Call the function whenever the input currency, provider or connection changes
+    return () => {
+      controller.abort();
+      clearTimeout(refreshTimer);
+    };
+  }, [
+    rateProvider,
+    cacheId,
+    inputCurrency,
+    canFetch,
+    cacheTtl,
+    cacheStorageKey,
+    refreshCount,
+  ]);
+
+  // Exchange rates for the selected input currency (empty until they are loaded,
+  // e.g. right after a swap)
+  const ratesLoaded = rateEntry?.base === inputCurrency;
+  const exchangeRates = ratesLoaded ? rateEntry.rates : {};
+  // Rates of the input currency are missing and can't be fetched right now
+  const ratesUnavailable = !canFetch && rateEntry === null;
+
+  // Supported currencies: those the provider has rates for, with names and symbols
+  const catalog = useMemo(
+    () =>
+      buildCatalog(
+        [
+          ...(rateEntry ? Object.keys(rateEntry.rates) : DEFAULT_CURRENCIES),
+          inputCurrency,
+          outputCurrency,
+        ],
+        locale
+      ),
+    [rateEntry, inputCurrency, outputCurrency, locale]
+  );
+
+  // Pin or unpin a currency
+  const toggleFavorite = (code) =>
+    setFavorites((prev) =>
+      prev.includes(code)
+        ? prev.filter((favorite) => favorite !== code)
+        : [...prev, code]
+    );
+
+  // Conversion: the typed amount is converted forwards ("from" field) or
+  // backwards ("to" field) with the rate table of the input currency
+  const rate = exchangeRates[outputCurrency]; // Units of the output currency per unit of the input currency
+  // Separators of the locale, for typed and calculated amounts
+  const numberLocale = useMemo(() => getNumberLocale(locale), [locale]);
+  let typedValue = null; // Typed amount as an exact decimal, null when empty
+  let isValidAmount = true;
+  try {
+    // Rounded to the minor units of its currency, so what is converted is
+    // what the result line shows ("10.999" USD is $11.00)
+    const parsed = parseAmount(typedAmount.text, numberLocale);
+    typedValue =
+      parsed &&
+      roundAmount(
+        parsed,
+        typedAmount.side === "from" ? inputCurrency : outputCurrency,
+        roundingMode
+      );
+  } catch {
+    isValidAmount = false;
+  }
+  // Converted amount, rounded to the minor units of its currency
+  const calculatedValue =
+    rate && typedValue
+      ? typedAmount.side === "from"
+        ? roundAmount(
+            typedValue.times(Decimal.from(rate)),
+            outputCurrency,
+            roundingMode
+          )
+        : typedValue.dividedBy(
+            Decimal.from(rate),
+            getMinorUnits(inputCurrency),
+            roundingMode
+          )
+      : null;
+  const calculatedText =
+    calculatedValue === null
+      ? ""
+      : formatAmountInput(
+          calculatedValue,
+          typedAmount.side === "from" ? outputCurrency : inputCurrency,
+          numberLocale
+        );
+  // Both amounts with their currency, for the result line
+  const [fromValue, toValue] =
+    calculatedValue === null
+      ? [null, null]
+      : typedAmount.side === "from"
+        ? [typedValue, calculatedValue]
+        : [calculatedValue, typedValue];
+  const fromText =
+    typedAmount.side === "from" ? typedAmount.text : calculatedText;
+  const toText = typedAmount.side === "to" ? typedAmount.text : calculatedText;
+  // Amount in the input currency for the table, whichever field it was typed in
+  const tableAmount =
+    typedAmount.side === "from" ? typedValue : calculatedValue;
+
+  // Remember a pair once something has been converted with it
+  const rememberPair = (from, to) =>
+    setRecentPairs((prev) => addRecentPair(prev, from, to));
+
+  // Typing in either field converts live
+  const handleAmountChange = (side) => (e) => {
+    setTypedAmount({ side, text: e.target.value });
+    if (rate) rememberPair(inputCurrency, outputCurrency);
+  };
+
+  // Exchange From and To; the typed amount moves with its currency
+  const handleSwap = () => {
+    setInputCurrency(outputCurrency);
+    setOutputCurrency(inputCurrency);
+    setTypedAmount((prev) => ({
+      ...prev,
+      side: prev.side === "from" ? "to" : "from",
+    }));
   };
 
   return (
     <div className="currency-converter-container">
       <h2>Currency Converter</h2>
-      {/* Input currency dropdown */}
-      <div>
-        <label>
-          From:
-          <select
-            value={inputCurrency}
-            onChange={(e) => setInputCurrency(e.target.value)}
-            aria-label="Select input currency"
-          >
-            {currencies.map((currency) => (
-              <option key={currency} value={currency}>
-                {currency}
-              </option>
-            ))}
-          </select>
-        </label>
+      {/* Mode switch: one pair, or one amount in many currencies */}
+      <div className="mode-toggle" role="group" aria-label="Mode">
+        <button
+          type="button"
+          className={mode === "converter" ? "active" : undefined}
+          onClick={() => setMode("converter")}
+          aria-pressed={mode === "converter"}
+        >
+          Converter
+        </button>
+        <button
+          type="button"
+          className={mode === "table" ? "active" : undefined}
+          onClick={() => setMode("table")}
+          aria-pressed={mode === "table"}
+        >
+          Table
+        </button>
       </div>
-      {/* Output currency dropdown */}
-      <div>
-        <label>
-          To:
-          <select
-            value={outputCurrency}
-            onChange={(e) => setOutputCurrency(e.target.value)}
-            aria-label="Select output currency"
+      {/* Input currency picker */}
+      <CurrencyPicker
+        label="From"
+        value={inputCurrency}
+        onChange={setInputCurrency}
+        catalog={catalog}
+        favorites={favorites}
+        onToggleFavorite={toggleFavorite}
+      />
+      {mode === "table" ? (
+        <>
+          {/* Amount in the input currency */}
+          <div className="amount-fields">
+            <label>
+              {inputCurrency}:
+              <input
+                type="text"
+                inputMode="decimal"
+                value={fromText}
+                onChange={handleAmountChange("from")}
+                placeholder="Amount"
+                aria-label={`Amount in ${inputCurrency}`}
+              />
+            </label>
+          </div>
+          {isLoading && (
+            <div className="result" aria-live="polite">
+              Loading rates...
+            </div>
+          )}
+          {/* The amount in every target currency, with the rates already fetched */}
+          <ConversionTable
+            amount={tableAmount}
+            currency={inputCurrency}
+            rates={exchangeRates}
+            targets={tableCurrencies}
+            onTargetsChange={setTableCurrencies}
+            catalog={catalog}
+            favorites={favorites}
+            onToggleFavorite={toggleFavorite}
+            locale={locale}
+            roundingMode={roundingMode}
+          />
+        </>
+      ) : (
+        <>
+          {/* Swap button */}
+          <button
+            type="button"
+            className="swap-button"
+            onClick={handleSwap}
+            aria-label="Swap currencies"
+            title="Swap currencies"
           >
-            {currencies.map((currency) => (
-              <option key={currency} value={currency}>
-                {currency}
-              </option>
-            ))}
-          </select>
-        </label>
-      </div>
-      {/* Amount input field */}
-      <div>
-        <label>
-          Amount:
-          <input
-            type="number"
-            value={amount}
-            onChange={(e) => setAmount(Number(e.target.value))}
-            placeholder="Amount"
-            aria-label="Enter amount"
+            ⇅
+          </button>
+          {/* Output currency picker */}
+          <CurrencyPicker
+            label="To"
+            value={outputCurrency}
+            onChange={setOutputCurrency}
+            catalog={catalog}
+            favorites={favorites}
+            onToggleFavorite={toggleFavorite}
           />
-        </label>
-      </div>
-      {/* Convert button */}
-      <button onClick={handleConvertButton} disabled={isLoading || amount <= 0}>
-        {isLoading ? "Loading..." : "Convert"}
-      </button>
-      {/* Error message */}
-      {error && (
-        <div className="error" aria-live="polite">
-          {error}
+          {/* Recently used pairs */}
+          {recentPairs.length > 0 && (
+            <div
+              className="recent-pairs"
+              role="group"
+              aria-label="Recent pairs"
+            >
+              {recentPairs.map(({ from, to }) => (
+                <button
+                  key={`${from}-${to}`}
+                  type="button"
+                  onClick={() => {
+                    setInputCurrency(from);
+                    setOutputCurrency(to);
+                  }}
+                  aria-label={`Convert ${from} to ${to}`}
+                >
+                  {from} → {to}
+                </button>
+              ))}
+            </div>
+          )}
+          {/* Linked amount fields: typing in either one converts live */}
+          <div className="amount-fields">
+            <label>
+              {inputCurrency}:
+              <input
+                type="text"
+                inputMode="decimal"
+                value={fromText}
+                onChange={handleAmountChange("from")}
+                placeholder="Amount"
+                aria-label={`Amount in ${inputCurrency}`}
+              />
+            </label>
+            <label>
+              {outputCurrency}:
+              <input
+                type="text"
+                inputMode="decimal"
+                value={toText}
+                onChange={handleAmountChange("to")}
+                placeholder="Amount"
+                aria-label={`Amount in ${outputCurrency}`}
+              />
+            </label>
+          </div>
+          {/* Rate of the pair */}
+          {isLoading ? (
+            <div className="result" aria-live="polite">
+              Loading rates...
+            </div>
+          ) : (
+            rate && (
+              <div className="result" aria-live="polite">
+                {fromValue && (
+                  <div>
+                    {formatCurrency(fromValue, inputCurrency, locale)} ={" "}
+                    <strong>
+                      {formatCurrency(toValue, outputCurrency, locale)}
+                    </strong>
+                  </div>
+                )}
+                <div className="rate-line">
+                  1 {inputCurrency} = {formatRate(rate, locale)}{" "}
+                  {outputCurrency}
+                </div>
+              </div>
+            )
+          )}
+        </>
+      )}
+      {/* When the rates were fetched, and whether they are out of date */}
+      {rateEntry && (
+        <div className="rates-info">
+          Rates as of{" "}
+          <time dateTime={new Date(rateEntry.fetchedAt).toISOString()}>
+            {new Date(rateEntry.fetchedAt).toLocaleString()}
+          </time>
+          {isStale && (
+            <span
+              className="stale-badge"
+              title="These rates are out of date and couldn't be updated."
+            >
+              ⚠ Stale
+            </span>
+          )}
         </div>
       )}
-      {/* Converted amount result */}
-      {convertedAmount !== null && (
-        <div className="result" aria-live="polite">
-          <strong>Converted Amount: </strong>
-          {convertedAmount}
+      {/* Offline notice; cached rates keep working */}
+      {ratesUnavailable && (
+        <div className="offline-note" aria-live="polite">
+          You're offline. Rates for {inputCurrency} will load once the
+          connection is back.
+        </div>
+      )}
+      {/* Error message */}
+      {(error ||
+        !isValidAmount ||
+        (mode === "converter" && ratesLoaded && !rate)) && (
+        <div className="error" aria-live="polite">
+          {error ||
+            (!isValidAmount
+              ? "Please enter a valid amount of zero or more."
+              : "Conversion rate not available for the selected currency.")}
         </div>
       )}
     </div>
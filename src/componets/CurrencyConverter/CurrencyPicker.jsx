@@ -0,0 +1,211 @@
+// React hooks for state management, unique ids and side effects
+import { useEffect, useId, useState } from "react";
+// Currency search
+import { searchCatalog } from "./currencyCatalog";
+
+/**
+ * Searchable currency picker (ARIA combobox with a listbox popup)
+ *
+ * Typing filters by code, name or symbol; favorite currencies are pinned
+ * above the others. Arrow keys move through the options, Enter picks one,
+ * Escape closes the list and restores the current currency.
+ *
+ * @param {Object} props
+ * @param {string} props.label - Visible label, e.g. "From"
+ * @param {string} props.value - Selected currency code
+ * @param {Function} props.onChange - Called with the code of the picked currency
+ * @param {Array<Object>} props.catalog - Currencies to choose from, see buildCatalog()
+ * @param {string[]} props.favorites - Codes of the favorite currencies
+ * @param {Function} props.onToggleFavorite - Called with a code to pin or unpin it
+ * @returns {JSX.Element} Rendered picker
+ */
+const CurrencyPicker = ({
+  label,
+  value,
+  onChange,
+  catalog,
+  favorites,
+  onToggleFavorite,
+}) => {
+  const id = useId();
+  const listId = `${id}-listbox`;
+  const optionId = (code) => `${id}-option-${code}`;
+
+  // State for the search text; null while the selected currency is shown
+  const [query, setQuery] = useState(null);
+  // State for whether the list of options is open
+  const [isOpen, setIsOpen] = useState(false);
+  // State for the option highlighted with the arrow keys
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Matching currencies, favorites first
+  const matches = searchCatalog(catalog, query ?? "");
+  const groups = [
+    {
+      key: "favorites",
+      label: "Favorites",
+      entries: matches.filter((entry) => favorites.includes(entry.code)),
+    },
+    {
+      key: "all",
+      label: "All currencies",
+      entries: matches.filter((entry) => !favorites.includes(entry.code)),
+    },
+  ].filter((group) => group.entries.length > 0);
+  const options = groups.flatMap((group) => group.entries);
+  const active = options[Math.min(activeIndex, options.length - 1)];
+  const activeId = isOpen && active ? optionId(active.code) : undefined;
+
+  const selected = catalog.find((entry) => entry.code === value);
+  const isFavorite = favorites.includes(value);
+
+  // Keep the highlighted option visible while moving through a long list
+  useEffect(() => {
+    if (!activeId) return;
+    document.getElementById(activeId)?.scrollIntoView?.({ block: "nearest" });
+  }, [activeId]);
+
+  // Open the list with the current currency highlighted
+  const open = () => {
+    setIsOpen(true);
+    setActiveIndex(
+      Math.max(
+        0,
+        options.findIndex((entry) => entry.code === value)
+      )
+    );
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery(null);
+  };
+
+  const select = (code) => {
+    onChange(code);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen) open();
+        else setActiveIndex((index) => Math.min(index + 1, options.length - 1));
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (!isOpen) open();
+        else setActiveIndex((index) => Math.max(index - 1, 0));
+        break;
+      case "Enter":
+        if (isOpen && active) {
+          e.preventDefault();
+          select(active.code);
+        }
+        break;
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="currency-picker">
+      <label htmlFor={`${id}-input`}>{label}:</label>
+      <div className="currency-picker-field">
+        <input
+          id={`${id}-input`}
+          type="text"
+          role="combobox"
+          aria-expanded={isOpen}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeId}
+          value={
+            query ?? (selected ? `${selected.code} – ${selected.name}` : value)
+          }
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+            setActiveIndex(0);
+          }}
+          onFocus={(e) => e.target.select()} // Typing replaces the shown currency
+          onClick={() => (isOpen ? close() : open())}
+          onKeyDown={handleKeyDown}
+          onBlur={close}
+          autoComplete="off"
+          spellCheck={false}
+        />
+        <button
+          type="button"
+          className="favorite-toggle"
+          onClick={() => onToggleFavorite(value)}
+          aria-pressed={isFavorite}
+          aria-label={`Favorite ${value}`}
+          title={isFavorite ? "Remove from favorites" : "Add to favorites"}
+        >
+          {isFavorite ? "★" : "☆"}
+        </button>
+      </div>
+
+      {isOpen && options.length > 0 && (
+        <div
+          id={listId}
+          role="listbox"
+          aria-label={label}
+          className="currency-picker-list"
+        >
+          {groups.map((group) => (
+            <ul
+              key={group.key}
+              role="group"
+              aria-labelledby={`${id}-${group.key}`}
+            >
+              <li
+                id={`${id}-${group.key}`}
+                role="presentation"
+                className="currency-picker-heading"
+              >
+                {group.label}
+              </li>
+              {group.entries.map((entry) => (
+                <li
+                  key={entry.code}
+                  id={optionId(entry.code)}
+                  role="option"
+                  aria-selected={entry === active}
+                  className={entry === active ? "active" : undefined}
+                  // Keep the focus in the input so the list doesn't close first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => select(entry.code)}
+                  onMouseEnter={() => setActiveIndex(options.indexOf(entry))}
+                >
+                  <span className="currency-code">{entry.code}</span>
+                  <span className="currency-name">{entry.name}</span>
+                  <span className="currency-symbol">{entry.symbol}</span>
+                </li>
+              ))}
+            </ul>
+          ))}
+        </div>
+      )}
+      {isOpen && options.length === 0 && (
+        <div className="currency-picker-empty">No currency matches</div>
+      )}
+      {/* Announces the number of matches to screen readers */}
+      <div className="visually-hidden" aria-live="polite">
+        {isOpen
+          ? `${options.length} ${options.length === 1 ? "currency" : "currencies"} found`
+          : ""}
+      </div>
+    </div>
+  );
+};
+
+export default CurrencyPicker;
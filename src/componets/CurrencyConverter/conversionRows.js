@@ -0,0 +1,70 @@
+// Multi-currency table helpers for the CurrencyConverter component
+// One amount is converted into several currencies with the rate table of the
+// input currency; the rows can be exported as CSV.
+
+// Exact decimal arithmetic
+import { Decimal } from "../../utils/decimal";
+// Rounding and canonical text of amounts
+import { formatAmountPlain, roundAmount } from "./currencyFormat";
+// CSV field quoting shared with the other exports
+import { escapeCsv } from "../../utils/download";
+
+// Currencies shown in the table until the user picks others
+export const DEFAULT_TABLE_CURRENCIES = ["EUR", "GBP", "JPY", "CHF"];
+
+/**
+ * Rows of the conversion table
+ * @param {Decimal|null} amount - Amount in the input currency, null when none is entered
+ * @param {Object<string, number>} rates - Rate table of the input currency
+ * @param {string[]} targets - Currencies to convert into, in display order
+ * @param {string} roundingMode - One of ROUNDING_MODES in utils/decimal.js
+ * @returns {Array<{code: string, rate: number|null, inverseRate: number|null, converted: Decimal|null}>}
+ *   Rate and inverse rate are null when the provider has no rate for the currency
+ */
+export const buildConversionRows = (amount, rates, targets, roundingMode) =>
+  targets.map((code) => {
+    const rate = rates[code] ?? null;
+    return {
+      code,
+      rate,
+      inverseRate: rate === null ? null : 1 / rate,
+      converted:
+        rate === null || amount === null
+          ? null
+          : roundAmount(amount.times(Decimal.from(rate)), code, roundingMode),
+    };
+  });
+
+/**
+ * Serializes the conversion table to CSV (one row per target currency)
+ * Numbers are written in canonical form ("." as decimal separator, no grouping)
+ * so spreadsheets in any locale read them the same way
+ * @param {Array<Object>} rows - Result of buildConversionRows()
+ * @param {Object} source
+ * @param {string} source.currency - Input currency
+ * @param {Decimal|null} source.amount - Amount in the input currency
+ * @param {Function} [source.getName] - Name of a currency code, for the name column
+ * @returns {string} CSV document with a header row
+ */
+export const conversionTableToCsv = (
+  rows,
+  { currency, amount, getName = (code) => code }
+) =>
+  [
+    "from,amount,to,name,rate,inverse_rate,converted",
+    ...rows.map((row) =>
+      [
+        currency,
+        amount === null ? "" : amount.toString(),
+        row.code,
+        getName(row.code),
+        row.rate ?? "",
+        row.inverseRate === null ? "" : Number(row.inverseRate.toPrecision(10)),
+        row.converted === null
+          ? ""
+          : formatAmountPlain(row.converted, row.code),
+      ]
+        .map(escapeCsv)
+        .join(",")
+    ),
+  ].join("\n");
@@ -0,0 +1,97 @@
+// Currency catalog for the CurrencyConverter component
+// The provider only knows currency codes; names and symbols come from the
+// browser through Intl.DisplayNames and Intl.NumberFormat, in the user's language.
+
+// Currencies offered before the provider's rates have loaded
+export const DEFAULT_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "JPY",
+  "AUD",
+  "CAD",
+  "CHF",
+  "CNY",
+  "INR",
+];
+
+// Intl objects are expensive to create, so lookups are cached per locale and code
+const infoCache = new Map();
+
+/**
+ * Name and symbol of a currency
+ * @param {string} code - ISO 4217 code, e.g. "JPY"
+ * @param {string} [locale] - BCP 47 locale of the name, browser default when omitted
+ * @returns {{code: string, name: string, symbol: string}} E.g. { code: "JPY",
+ *   name: "Japanese Yen", symbol: "¥" }; name and symbol fall back to the code
+ */
+export const getCurrencyInfo = (code, locale) => {
+  const key = `${locale ?? ""}|${code}`;
+  if (!infoCache.has(key)) {
+    let name = code;
+    let symbol = code;
+    try {
+      name =
+        new Intl.DisplayNames(locale, { type: "currency" }).of(code) ?? code;
+      symbol =
+        new Intl.NumberFormat(locale, {
+          style: "currency",
+          currency: code,
+          currencyDisplay: "narrowSymbol",
+        })
+          .formatToParts(0)
+          .find((part) => part.type === "currency")?.value ?? code;
+    } catch {
+      // Code unknown to this browser: show it as it is
+    }
+    infoCache.set(key, { code, name, symbol });
+  }
+  return infoCache.get(key);
+};
+
+/**
+ * Catalog entries for a list of codes, sorted by code
+ * @param {string[]} codes - ISO 4217 codes
+ * @param {string} [locale] - BCP 47 locale of the names
+ * @returns {Array<{code: string, name: string, symbol: string}>}
+ */
+export const buildCatalog = (codes, locale) =>
+  [...new Set(codes)].sort().map((code) => getCurrencyInfo(code, locale));
+
+// Lower case without accents, so "real" finds "Réal"
+const normalize = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Currencies matching a search, best matches first: the exact code, codes
+ * starting with the query, names with a word starting with it, then names
+ * or symbols containing it
+ * @param {Array<Object>} catalog - Result of buildCatalog()
+ * @param {string} query - Code, name or symbol, e.g. "eur", "pound" or "$"
+ * @returns {Array<Object>} Matching catalog entries; the whole catalog for an empty query
+ */
+export const searchCatalog = (catalog, query) => {
+  const needle = normalize(query.trim());
+  if (needle === "") return catalog;
+
+  const rank = ({ code, name, symbol }) => {
+    const lowerCode = code.toLowerCase();
+    const lowerName = normalize(name);
+    if (lowerCode === needle) return 0;
+    if (lowerCode.startsWith(needle)) return 1;
+    if (lowerName.split(/\s+/).some((word) => word.startsWith(needle))) {
+      return 2;
+    }
+    if (lowerName.includes(needle) || normalize(symbol) === needle) return 3;
+    return -1;
+  };
+
+  return catalog
+    .map((entry) => ({ entry, score: rank(entry) }))
+    .filter(({ score }) => score >= 0)
+    .sort((a, b) => a.score - b.score) // Stable: ties keep catalog order
+    .map(({ entry }) => entry);
+};
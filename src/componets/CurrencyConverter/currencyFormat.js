@@ -0,0 +1,129 @@
+// Amount handling for the CurrencyConverter component
+// Amounts are exact decimals (see utils/decimal.js), rounded to the minor
+// units of their currency (JPY 0, USD 2, KWD 3) with a chosen rounding mode,
+// and formatted with Intl.NumberFormat in the user's locale.
+
+// Exact decimal arithmetic with rounding modes
+import { Decimal } from "../../utils/decimal";
+// Locale separators for typed and displayed amounts
+import {
+  formatLocalizedNumber,
+  parseLocalizedNumber,
+} from "../../utils/numberLocale";
+
+// Minor units and currency formatters are cached per currency (and locale)
+const minorUnitsCache = new Map();
+const formatterCache = new Map();
+
+/**
+ * Number of fraction digits a currency is written with (ISO 4217 minor units)
+ * @param {string} code - ISO 4217 code
+ * @returns {number} E.g. 2 for USD, 0 for JPY, 3 for KWD
+ */
+export const getMinorUnits = (code) => {
+  if (!minorUnitsCache.has(code)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat("en", {
+        style: "currency",
+        currency: code,
+      }).resolvedOptions().maximumFractionDigits;
+    } catch {
+      // Code unknown to this browser: assume cents
+    }
+    minorUnitsCache.set(code, digits);
+  }
+  return minorUnitsCache.get(code);
+};
+
+// Writes a decimal with exactly `digits` fraction digits ("90" → "90.00"),
+// "." as decimal separator and no grouping; value has at most `digits` already
+const toFixedText = (value, digits) => {
+  const [whole, fraction = ""] = value.toString().split(".");
+  return digits === 0 ? whole : `${whole}.${fraction.padEnd(digits, "0")}`;
+};
+
+/**
+ * Amount in canonical form with all minor units, for files and other programs
+ * @param {Decimal} value - Rounded amount, see roundAmount()
+ * @param {string} code - ISO 4217 code
+ * @returns {string} E.g. "1234.50" for USD, "1235" for JPY
+ */
+export const formatAmountPlain = (value, code) =>
+  toFixedText(value, getMinorUnits(code));
+
+/**
+ * Reads an amount typed in any common convention
+ * "1.234,56", "1,234.56" and "1 234,56" all give 1234.56; a trailing
+ * decimal separator ("12,") is accepted while the user is still typing
+ * @param {string} text - Typed text
+ * @param {Object} numberLocale - Result of getNumberLocale(), breaks ties like "1,234"
+ * @returns {Decimal|null} The amount, null when the text is empty
+ * @throws {SyntaxError} When the text is not a non-negative number
+ */
+export const parseAmount = (text, numberLocale) => {
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+  if (!/^[\d.,'’\s]*\d[\d.,'’\s]*$/.test(trimmed)) {
+    throw new SyntaxError(`Invalid amount "${text}"`);
+  }
+  // parseLocalizedNumber expects digits at both ends
+  const digits = trimmed.replace(/^[.,]/, "0$&").replace(/[.,]$/, "");
+  return Decimal.from(parseLocalizedNumber(digits, numberLocale));
+};
+
+/**
+ * Rounds an amount to the minor units of its currency
+ * @param {Decimal} value
+ * @param {string} code - ISO 4217 code
+ * @param {string} roundingMode - One of ROUNDING_MODES in utils/decimal.js
+ * @returns {Decimal}
+ */
+export const roundAmount = (value, code, roundingMode) =>
+  value.round(getMinorUnits(code), roundingMode);
+
+/**
+ * Amount as typed into an amount field: grouped, all minor units, no symbol
+ * @param {Decimal} value - Rounded amount, see roundAmount()
+ * @param {string} code - ISO 4217 code
+ * @param {Object} numberLocale - Result of getNumberLocale()
+ * @returns {string} E.g. "1.234,50" in de-DE
+ */
+export const formatAmountInput = (value, code, numberLocale) =>
+  formatLocalizedNumber(toFixedText(value, getMinorUnits(code)), numberLocale);
+
+/**
+ * Amount with its currency, e.g. "¥1,235", "1.234,50 €" or "KWD 1.500"
+ * @param {Decimal} value - Rounded amount, see roundAmount()
+ * @param {string} code - ISO 4217 code
+ * @param {string} [locale] - BCP 47 locale, browser default when omitted
+ * @returns {string}
+ */
+export const formatCurrency = (value, code, locale) => {
+  const key = `${locale ?? ""}|${code}`;
+  if (!formatterCache.has(key)) {
+    const digits = getMinorUnits(code);
+    formatterCache.set(
+      key,
+      new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: code,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      })
+    );
+  }
+  // Formatting the decimal string keeps every digit (a double would lose some)
+  return formatterCache
+    .get(key)
+    .format(toFixedText(value, getMinorUnits(code)));
+};
+
+/**
+ * Exchange rate for display, to six significant digits
+ * @param {number} rate - Units of one currency per unit of another
+ * @param {string} [locale] - BCP 47 locale, browser default when omitted
+ * @returns {string} E.g. "0.912345" or "1,234.57"
+ */
+export const formatRate = (rate, locale) =>
+  new Intl.NumberFormat(locale, { maximumSignificantDigits: 6 }).format(rate);
@@ -0,0 +1,86 @@
+// Favorite currencies, recently used pairs and table currencies of the CurrencyConverter component
+// All three are kept in localStorage so they follow the user across visits.
+
+// localStorage keys under which preferences are saved
+const FAVORITES_KEY = "currency-converter-favorites";
+const RECENT_PAIRS_KEY = "currency-converter-recent-pairs";
+const TABLE_CURRENCIES_KEY = "currency-converter-table-currencies";
+// Number of recent pairs remembered
+export const MAX_RECENT_PAIRS = 5;
+
+// Reads a saved array, empty when missing or corrupted
+const loadList = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    // Corrupted or unavailable storage: start without preferences
+    return [];
+  }
+};
+
+const saveList = (storageKey, list) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(list));
+  } catch {
+    // Storage full or disabled: preferences only live for this session
+  }
+};
+
+/**
+ * Reads the favorite currencies
+ * @returns {string[]} Currency codes, in the order they were pinned
+ */
+export const loadFavorites = () => loadList(FAVORITES_KEY);
+
+/**
+ * Saves the favorite currencies
+ * @param {string[]} favorites - Currency codes
+ */
+export const saveFavorites = (favorites) => saveList(FAVORITES_KEY, favorites);
+
+/**
+ * Reads the recently used currency pairs
+ * @returns {Array<{from: string, to: string}>} Most recent first
+ */
+export const loadRecentPairs = () => loadList(RECENT_PAIRS_KEY);
+
+/**
+ * Saves the recently used currency pairs
+ * @param {Array<{from: string, to: string}>} pairs - Most recent first
+ */
+export const saveRecentPairs = (pairs) => saveList(RECENT_PAIRS_KEY, pairs);
+
+/**
+ * Puts a pair at the front of the recent pairs
+ * @param {Array<{from: string, to: string}>} pairs - Recent pairs, most recent first
+ * @param {string} from - Input currency
+ * @param {string} to - Output currency
+ * @returns {Array<{from: string, to: string}>} New list, without duplicates and at most
+ *   MAX_RECENT_PAIRS long; the same list when the pair already is the most recent
+ */
+export const addRecentPair = (pairs, from, to) =>
+  pairs[0]?.from === from && pairs[0]?.to === to
+    ? pairs
+    : [
+        { from, to },
+        ...pairs
+          .filter((pair) => pair.from !== from || pair.to !== to)
+          .slice(0, MAX_RECENT_PAIRS - 1),
+      ];
+
+/**
+ * Reads the currencies chosen for the conversion table
+ * @returns {string[]|null} Currency codes in display order, null when none are saved
+ */
+export const loadTableCurrencies = () => {
+  const saved = loadList(TABLE_CURRENCIES_KEY);
+  return saved.length > 0 ? saved : null;
+};
+
+/**
+ * Saves the currencies chosen for the conversion table
+ * @param {string[]} codes - Currency codes in display order
+ */
+export const saveTableCurrencies = (codes) =>
+  saveList(TABLE_CURRENCIES_KEY, codes);
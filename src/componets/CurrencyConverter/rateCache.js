@@ -0,0 +1,103 @@
+// Exchange-rate cache for the CurrencyConverter component
+// Rate tables are kept in localStorage with the time they were fetched, so
+// they survive a reload and can still be shown (marked stale) while offline.
+// A copy stays in memory for when storage is full or disabled.
+
+// localStorage key under which rate tables are saved by default
+export const DEFAULT_RATE_CACHE_KEY = "currency-converter-rates";
+// How long fetched rates count as current (ms)
+export const DEFAULT_RATE_TTL = 60 * 60 * 1000;
+// Wait before the first retry of a failed refresh (ms); doubles with every
+// failure in a row, up to MAX_RETRY_DELAY
+const RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+// Upper bound on stored tables so localStorage never fills up
+const MAX_TABLES = 20;
+
+// Tables of this page, per storage key, for when localStorage can't be used
+const memoryCache = new Map();
+
+// Entry key of a provider's table for a base currency
+const entryKey = (cacheId, base) => `${cacheId}|${base}`;
+
+/**
+ * Reads every saved rate table
+ * @param {string} storageKey - localStorage key
+ * @returns {Object<string, Object>} Tables keyed by provider and base currency
+ */
+const loadTables = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return saved !== null && typeof saved === "object" ? saved : {};
+  } catch {
+    // Corrupted or unavailable storage: nothing cached
+    return {};
+  }
+};
+
+/**
+ * Cached rates of a provider for a base currency
+ * @param {string} storageKey - localStorage key
+ * @param {string} cacheId - Cache id of the rate provider, see rateProviders.js
+ * @param {string} base - Base currency
+ * @returns {{base: string, rates: Object<string, number>, date: string|null, fetchedAt: number}|null}
+ *   The table and when it was fetched (ms), null when nothing is cached
+ */
+export const readCachedRates = (storageKey, cacheId, base) => {
+  const key = entryKey(cacheId, base);
+  return (
+    memoryCache.get(storageKey)?.[key] ?? loadTables(storageKey)[key] ?? null
+  );
+};
+
+/**
+ * Caches freshly fetched rates, dropping the oldest tables beyond MAX_TABLES
+ * @param {string} storageKey - localStorage key
+ * @param {string} cacheId - Cache id of the rate provider, see rateProviders.js
+ * @param {{base: string, rates: Object, date: string|null}} table - Result of provider.getRates()
+ * @returns {Object} The cached entry, with fetchedAt set to now
+ */
+export const writeCachedRates = (storageKey, cacheId, table) => {
+  const entry = {
+    base: table.base,
+    rates: table.rates,
+    date: table.date,
+    fetchedAt: Date.now(),
+  };
+  const key = entryKey(cacheId, table.base);
+  memoryCache.set(storageKey, {
+    ...memoryCache.get(storageKey),
+    [key]: entry,
+  });
+
+  const tables = { ...loadTables(storageKey), [key]: entry };
+  const newest = Object.entries(tables)
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, MAX_TABLES);
+  try {
+    localStorage.setItem(
+      storageKey,
+      JSON.stringify(Object.fromEntries(newest))
+    );
+  } catch {
+    // Storage full or disabled: rates are cached for this session only
+  }
+  return entry;
+};
+
+/**
+ * Milliseconds until cached rates go stale
+ * @param {{fetchedAt: number}} entry - Cached entry
+ * @param {number} ttl - Time rates count as current (ms)
+ * @returns {number} Time left, 0 or less once they are stale
+ */
+export const getTimeToStale = (entry, ttl) =>
+  entry.fetchedAt + ttl - Date.now();
+
+/**
+ * Milliseconds to wait before fetching rates again after failed refreshes
+ * @param {number} failures - Refreshes that failed in a row, 1 or more
+ * @returns {number} 30 s after the first failure, doubling up to 30 min
+ */
+export const getRetryDelay = (failures) =>
+  Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
@@ -0,0 +1,264 @@
+// Exchange-rate providers: where CurrencyConverter gets its rates from
+// A provider is any object with a name and getRates(base, { signal }) that
+// resolves to { base, rates, date }, where rates maps currency codes to how
+// much one unit of `base` is worth in them. Providers that work without a
+// network set requiresNetwork: false. The rate cache is keyed by cacheId,
+// which tells apart providers of the same name (the name when missing).
+// The converter only talks to this interface, so the rates service can be
+// swapped, or replaced in tests.
+
+// React context through which a subtree gets its rate provider
+import { createContext, useContext } from "react";
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Raised when rates can't be loaded: the service failed or sent something
+ * that isn't a rate table. The message is meant to be shown to the user.
+ */
+export class RateProviderError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Name of the provider
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { provider, cause } = {}) {
+    super(message, { cause });
+    this.name = "RateProviderError";
+    this.provider = provider;
+  }
+}
+
+/**
+ * Checks a rate table and brings it into the shape providers resolve to
+ * @param {*} data - Parsed response, expected { rates: { EUR: 0.92, ... }, base?, date? }
+ * @param {string} base - Currency the rates were requested for
+ * @param {string} provider - Provider name, for the error message
+ * @returns {{base: string, rates: Object<string, number>, date: string|null}}
+ * @throws {RateProviderError} When the table is missing, for another currency or has invalid rates
+ */
+export const validateRates = (data, base, provider) => {
+  const fail = (reason) => {
+    throw new RateProviderError(
+      `Invalid exchange rates from ${provider}: ${reason}.`,
+      { provider }
+    );
+  };
+
+  if (data === null || typeof data !== "object") fail("no data");
+  if (data.rates === null || typeof data.rates !== "object") {
+    fail("the response has no rates");
+  }
+  if (data.base !== undefined && data.base !== base) {
+    fail(`rates are for ${data.base} instead of ${base}`);
+  }
+  for (const [code, rate] of Object.entries(data.rates)) {
+    if (!CURRENCY_CODE.test(code)) fail(`"${code}" is not a currency code`);
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      fail(`the rate for ${code} is not a positive number`);
+    }
+  }
+
+  return {
+    base,
+    // One unit of the base is always worth one unit of itself
+    rates: { ...data.rates, [base]: 1 },
+    date: typeof data.date === "string" ? data.date : null,
+  };
+};
+
+/**
+ * Requests a JSON document
+ * @param {string} address - URL
+ * @param {string} provider - Provider name, for error messages
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {RateProviderError} When the request fails or the response isn't JSON
+ */
+const fetchJson = async (address, provider, signal) => {
+  let response;
+  try {
+    response = await fetch(address, { signal });
+  } catch (error) {
+    if (error.name === "AbortError") throw error; // Cancelled on purpose
+    throw new RateProviderError(
+      "Failed to fetch exchange rates. Please try again later.",
+      { provider, cause: error }
+    );
+  }
+  if (!response.ok) {
+    throw new RateProviderError(
+      `Exchange rate service answered with status ${response.status}.`,
+      { provider }
+    );
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new RateProviderError(
+      `Invalid exchange rates from ${provider}: the response is not JSON.`,
+      { provider, cause: error }
+    );
+  }
+};
+
+/**
+ * Provider that requests rates from an HTTP service
+ * @param {Object} [options]
+ * @param {string|Function} [options.url] - URL with a "{base}" placeholder, or a function of the base
+ *   currency returning the URL; exchangerate-api.com when omitted
+ * @param {Function} [options.parse] - Turns the JSON response into { rates, base?, date? }
+ *   for services with another format
+ * @param {string} [options.name="HTTP"] - Name shown in error messages
+ * @param {string} [options.cacheId] - Keys the rate cache; the URL when omitted,
+ *   required when url is a function
+ * @returns {{name: string, cacheId: string, requiresNetwork: boolean, getRates: Function}}
+ * @throws {TypeError} When url is a function and no cacheId is given
+ */
+export const createHttpRateProvider = ({
+  url = "https://api.exchangerate-api.com/v4/latest/{base}",
+  parse = (data) => data,
+  name = "HTTP",
+  cacheId = typeof url === "string" ? url : undefined,
+} = {}) => {
+  // Two services must never share cached rates, so each needs its own id
+  if (cacheId === undefined) {
+    throw new TypeError("A cacheId is required when url is a function");
+  }
+  return {
+    name,
+    cacheId,
+    requiresNetwork: true,
+    getRates: async (base, { signal } = {}) => {
+      const address =
+        typeof url === "function"
+          ? url(base)
+          : url.replace("{base}", encodeURIComponent(base));
+      const data = await fetchJson(address, name, signal);
+      return validateRates(parse(data), base, name);
+    },
+  };
+};
+
+/**
+ * Provider serving rates from one table, e.g. a JSON file of the day's rates
+ *
+ * Rates between two other currencies are derived through the table's base:
+ * with USD → EUR 0.9 and USD → GBP 0.75, EUR → GBP is 0.75 / 0.9.
+ *
+ * @param {Object|string} source - Rate table { base, rates, date? }, or the URL of a JSON file with one
+ * @param {Object} [options]
+ * @param {string} [options.name="Static rates"] - Name shown in error messages
+ * @param {string} [options.cacheId] - Keys the rate cache; the URL of the source,
+ *   or the name for a table, when omitted
+ * @returns {{name: string, cacheId: string, requiresNetwork: boolean, getRates: Function}}
+ */
+export const createStaticRateProvider = (
+  source,
+  {
+    name = "Static rates",
+    cacheId = typeof source === "string" ? source : name,
+  } = {}
+) => {
+  // The table is loaded once; a failed load is retried on the next request
+  let table = null;
+  const loadTable = async () => {
+    const data =
+      typeof source === "string" ? await fetchJson(source, name) : source;
+    if (typeof data?.base !== "string") {
+      throw new RateProviderError(
+        `Invalid exchange rates from ${name}: the table has no base currency.`,
+        { provider: name }
+      );
+    }
+    return validateRates(data, data.base, name);
+  };
+
+  return {
+    name,
+    cacheId,
+    requiresNetwork: typeof source === "string",
+    getRates: async (base) => {
+      table ??= loadTable().catch((error) => {
+        table = null;
+        throw error;
+      });
+      const { rates, date } = await table;
+      if (!rates[base]) {
+        throw new RateProviderError(`${name} has no rates for ${base}.`, {
+          provider: name,
+        });
+      }
+      const derived = {};
+      for (const [code, rate] of Object.entries(rates)) {
+        derived[code] = rate / rates[base];
+      }
+      return { base, rates: derived, date };
+    },
+  };
+};
+
+/**
+ * Provider for tests and demos: fixed rates, no network
+ * @param {Object} [options]
+ * @param {Object} [options.table] - Rate table { base, rates }, a few made-up USD rates when omitted
+ * @param {number} [options.delay=0] - Milliseconds before rates resolve, to show loading states
+ * @param {Error|string} [options.error] - Fail every request with this error (a string becomes a RateProviderError)
+ * @param {string} [options.name="Mock rates"] - Name shown in error messages; also keys the
+ *   rate cache, so tests with different tables should use different names
+ * @returns {{name: string, cacheId: string, requiresNetwork: boolean, getRates: Function, calls: string[]}} calls lists the
+ *   base currencies requested so far
+ */
+export const createMockRateProvider = ({
+  table = {
+    base: "USD",
+    rates: { USD: 1, EUR: 0.9, GBP: 0.75, JPY: 150, CHF: 0.88 },
+    date: "2024-01-01",
+  },
+  delay = 0,
+  error,
+  name = "Mock rates",
+} = {}) => {
+  const staticProvider = createStaticRateProvider(table, { name });
+  const calls = [];
+
+  return {
+    name,
+    cacheId: name,
+    requiresNetwork: false,
+    calls,
+    getRates: async (base, { signal } = {}) => {
+      calls.push(base);
+      if (delay > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          });
+        });
+      }
+      if (error) {
+        throw typeof error === "string"
+          ? new RateProviderError(error, { provider: name })
+          : error;
+      }
+      return staticProvider.getRates(base);
+    },
+  };
+};
+
+// Rates from exchangerate-api.com, used when no prop or context supplies a provider
+export const DEFAULT_RATE_PROVIDER = createHttpRateProvider({
+  name: "exchangerate-api.com",
+});
+
+// Context holding the rate provider of a subtree
+export const RateProviderContext = createContext(DEFAULT_RATE_PROVIDER);
+
+/**
+ * Rate provider of the nearest RateProviderContext, or the default HTTP provider
+ * @returns {{name: string, getRates: Function}}
+ */
+export const useRateProvider = () => useContext(RateProviderContext);
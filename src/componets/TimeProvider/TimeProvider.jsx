@@ -0,0 +1,44 @@
+// React hook for performance optimization
+import { useMemo } from "react";
+// Time sources and the context that carries them
+import { TimeContext, createTimeSource } from "./timeSource";
+
+/**
+ * Time Provider Component
+ * Supplies the current time to every time-based component below it (Clock, ...),
+ * e.g. frozen for tests and screenshots, shifted, or accelerated for demos
+ *
+ * @param {Object} props
+ * @param {Object} [props.source] - Ready-made time source (see createTimeSource); the options below are ignored
+ * @param {Date|number} [props.at] - Instant time starts from, the real time when omitted
+ * @param {number} [props.offset=0] - Milliseconds added to the time
+ * @param {number} [props.speed=1] - Playback rate, e.g. 60 for one minute per second
+ * @param {boolean} [props.frozen=false] - Stop time at `at`
+ * @param {React.ReactNode} props.children
+ * @returns {JSX.Element} Context provider around the children
+ *
+ * @example
+ * <TimeProvider at="2024-01-01T09:00:00Z" speed={60}>
+ *   <Clock smooth />
+ * </TimeProvider>
+ */
+const TimeProvider = ({
+  source,
+  at,
+  offset = 0,
+  speed = 1,
+  frozen = false,
+  children,
+}) => {
+  // Compare the start as a number so a new Date object with the same value keeps the source
+  const startValue = at === undefined ? undefined : new Date(at).getTime();
+
+  const value = useMemo(
+    () => source ?? createTimeSource({ at: startValue, offset, speed, frozen }),
+    [source, startValue, offset, speed, frozen]
+  );
+
+  return <TimeContext.Provider value={value}>{children}</TimeContext.Provider>;
+};
+
+export default TimeProvider;
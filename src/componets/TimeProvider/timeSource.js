@@ -0,0 +1,56 @@
+// Time sources: where time-based components read "now" from
+// Components call source.now() instead of Date.now(), so a test, screenshot
+// or demo can freeze time, shift it, or play it back faster.
+
+// React context through which TimeProvider hands a time source down the tree
+import { createContext, useContext } from "react";
+
+/**
+ * Creates a time source
+ *
+ * Virtual time starts at `at` and advances `speed` times as fast as real time;
+ * `offset` is added on top. Frozen sources always return the same instant.
+ *
+ * @param {Object} [options]
+ * @param {Date|number} [options.at] - Instant virtual time starts from, the real time when omitted
+ * @param {number} [options.offset=0] - Milliseconds added to every reading (e.g. 3600000 = one hour ahead)
+ * @param {number} [options.speed=1] - Playback rate, e.g. 60 for one minute per second
+ * @param {boolean} [options.frozen=false] - Stop time at `at` (plus offset)
+ * @returns {{now: Function, speed: number, frozen: boolean}} now() returns the
+ *   current virtual time in milliseconds since the epoch
+ */
+export const createTimeSource = ({
+  at,
+  offset = 0,
+  speed = 1,
+  frozen = false,
+} = {}) => {
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new RangeError("Time source speed must be a positive number");
+  }
+  const realStart = Date.now();
+  const virtualStart = at === undefined ? realStart : new Date(at).getTime();
+  if (Number.isNaN(virtualStart)) {
+    throw new RangeError(`Invalid time source start "${at}"`);
+  }
+
+  return {
+    now: frozen
+      ? () => virtualStart + offset
+      : () => virtualStart + (Date.now() - realStart) * speed + offset,
+    speed: frozen ? 0 : speed,
+    frozen,
+  };
+};
+
+// Real time, used when no provider or prop supplies a source
+export const SYSTEM_TIME = { now: () => Date.now(), speed: 1, frozen: false };
+
+// Context holding the time source of a subtree (see TimeProvider)
+export const TimeContext = createContext(SYSTEM_TIME);
+
+/**
+ * Time source of the nearest TimeProvider, or real time without one
+ * @returns {{now: Function, speed: number, frozen: boolean}}
+ */
+export const useTimeSource = () => useContext(TimeContext);
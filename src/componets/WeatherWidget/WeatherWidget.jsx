@@ -2,6 +2,8 @@
 import { useState } from "react";
 // Import component-specific CSS styles
 import "./WeatherWidget.css";
+// Shared connection state, to avoid searches that can't succeed
+import { useConnectionStatus } from "../ConnectionStatus/connectionContext";
 
 /**
  * Maps weather condition codes from Open-Meteo API to emoji icons
@@ -54,6 +56,8 @@ const WeatherWidget = () => {
   const [error, setError] = useState("");
   // State for multiple city options when search returns multiple results
   const [cityOptions, setCityOptions] = useState([]);
+  // Searching needs the network
+  const { isOnline } = useConnectionStatus();
 
   /**
    * Fetches weather data for the entered city name
@@ -143,7 +147,7 @@ const WeatherWidget = () => {
    * @param {KeyboardEvent} e - Keyboard event
    */
   const handleKeyPress = (e) => {
-    if (e.key === "Enter" && city && !loading) {
+    if (e.key === "Enter" && city && !loading && isOnline) {
       fetchWeather();
     }
   };
@@ -178,7 +182,7 @@ const WeatherWidget = () => {
           {/* Search button with loading state */}
           <button
             onClick={fetchWeather}
-            disabled={loading || !city} // Disabled when loading or no city entered
+            disabled={loading || !city || !isOnline} // Disabled when loading, offline or no city entered
             className="search-btn"
           >
             {loading ? "🔍 Searching..." : "🔍 Get Weather"}
@@ -196,6 +200,14 @@ const WeatherWidget = () => {
         </div>
       </div>
 
+      {/* Offline notice */}
+      {!isOnline && (
+        <p className="offline-note">
+          📴 You're offline. Search is available again once the connection is
+          back.
+        </p>
+      )}
+
       {/* Error message display */}
       {error && <p className="error">❌ {error}</p>}
 
@@ -208,6 +220,7 @@ const WeatherWidget = () => {
             <button
               key={option.id}
               className="city-option-btn"
+              disabled={!isOnline}
               onClick={() =>
                 getWeather(
                   option.latitude,
@@ -0,0 +1,322 @@
+// Arbitrary-precision decimal numbers shared by the components (Calculator engine, currency amounts)
+// A Decimal is an immutable BigInt coefficient scaled by a power of ten:
+//   value = coefficient × 10^exponent
+// Addition, subtraction and multiplication are exact. Operations whose result
+// may not terminate (division, square root) take the number of fraction
+// digits to keep and a rounding mode.
+
+// Rounding modes understood by round(), dividedBy() and sqrt()
+//   half-up   - ties away from zero (school rounding, 2.5 → 3, -2.5 → -3)
+//   half-down - ties toward zero (2.5 → 2)
+//   half-even - ties to the even neighbour, a.k.a. banker's rounding (2.5 → 2, 3.5 → 4)
+//   up        - away from zero (2.1 → 3)
+//   down      - toward zero, i.e. truncation (2.9 → 2)
+//   ceil      - toward +∞ (-2.9 → -2)
+//   floor     - toward -∞ (2.9 → 2, -2.1 → -3)
+export const ROUNDING_MODES = [
+  "half-up",
+  "half-down",
+  "half-even",
+  "up",
+  "down",
+  "ceil",
+  "floor",
+];
+
+// Default number of fraction digits kept by inexact operations
+export const DEFAULT_PRECISION = 10;
+// Default rounding mode, the one people expect from a desk calculator
+export const DEFAULT_ROUNDING = "half-up";
+
+// Powers of ten as BigInt
+const pow10 = (n) => 10n ** BigInt(n);
+
+// Absolute value of a BigInt
+const absBig = (n) => (n < 0n ? -n : n);
+
+/**
+ * Divides two BigInts and rounds the quotient to an integer
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Must not be zero
+ * @param {string} rounding - One of ROUNDING_MODES
+ * @returns {bigint} Rounded quotient
+ */
+const divideAndRound = (numerator, denominator, rounding) => {
+  const quotient = numerator / denominator; // truncates toward zero
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const sign = numerator < 0n !== denominator < 0n ? -1n : 1n;
+  // Compare the discarded fraction with one half: -1 below, 0 exactly, 1 above
+  const twice = 2n * absBig(remainder);
+  const half =
+    twice === absBig(denominator) ? 0 : twice > absBig(denominator) ? 1 : -1;
+
+  let awayFromZero;
+  switch (rounding) {
+    case "up":
+      awayFromZero = true;
+      break;
+    case "down":
+      awayFromZero = false;
+      break;
+    case "ceil":
+      awayFromZero = sign > 0n;
+      break;
+    case "floor":
+      awayFromZero = sign < 0n;
+      break;
+    case "half-down":
+      awayFromZero = half > 0;
+      break;
+    case "half-even":
+      awayFromZero = half > 0 || (half === 0 && quotient % 2n !== 0n);
+      break;
+    case "half-up":
+      awayFromZero = half >= 0;
+      break;
+    default:
+      throw new RangeError(`Unknown rounding mode "${rounding}"`);
+  }
+
+  return awayFromZero ? quotient + sign : quotient;
+};
+
+/**
+ * Integer square root (floor) of a non-negative BigInt, by Newton's method
+ * @param {bigint} n
+ * @returns {bigint} Largest s with s² ≤ n
+ */
+const integerSqrt = (n) => {
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+  // The float estimate may be off for large n; converge from above
+  if (x * x > n || (x + 1n) * (x + 1n) <= n) {
+    x = n;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + n / x) / 2n;
+    }
+  }
+  return x;
+};
+
+export class Decimal {
+  /**
+   * @param {bigint} coefficient - Unscaled digits, with sign
+   * @param {number} exponent - Power of ten applied to the coefficient
+   */
+  constructor(coefficient, exponent = 0) {
+    // Normalize: no trailing zeros in the coefficient, zero has exponent 0
+    if (coefficient === 0n) {
+      exponent = 0;
+    } else {
+      while (coefficient % 10n === 0n) {
+        coefficient /= 10n;
+        exponent++;
+      }
+    }
+    this.coefficient = coefficient;
+    this.exponent = exponent;
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates a Decimal from a string, number, BigInt or Decimal
+   * Strings may use "," or "." as decimal separator and an "e" exponent
+   * Numbers are converted through their shortest string form, so 0.1 stays 0.1
+   * @param {string|number|bigint|Decimal} value
+   * @returns {Decimal}
+   */
+  static from(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === "bigint") return new Decimal(value, 0);
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      throw new RangeError(`Cannot represent ${value} as a Decimal`);
+    }
+
+    const text = String(value).trim().replace(",", ".");
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    if (!match || (match[2] === "" && !match[3])) {
+      throw new SyntaxError(`Invalid decimal "${value}"`);
+    }
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    const coefficient = BigInt(`${sign}${whole}${fraction}` || "0");
+    return new Decimal(coefficient, Number(exponent) - fraction.length);
+  }
+
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+
+  isInteger() {
+    return this.exponent >= 0;
+  }
+
+  negated() {
+    return new Decimal(-this.coefficient, this.exponent);
+  }
+
+  abs() {
+    return this.isNegative() ? this.negated() : this;
+  }
+
+  // Coefficients of both operands brought to the smaller exponent
+  #aligned(other) {
+    const exponent = Math.min(this.exponent, other.exponent);
+    return [
+      this.coefficient * pow10(this.exponent - exponent),
+      other.coefficient * pow10(other.exponent - exponent),
+      exponent,
+    ];
+  }
+
+  plus(other) {
+    const [a, b, exponent] = this.#aligned(Decimal.from(other));
+    return new Decimal(a + b, exponent);
+  }
+
+  minus(other) {
+    return this.plus(Decimal.from(other).negated());
+  }
+
+  times(other) {
+    const b = Decimal.from(other);
+    return new Decimal(
+      this.coefficient * b.coefficient,
+      this.exponent + b.exponent
+    );
+  }
+
+  /**
+   * @param {Decimal|number|string} other - Divisor, must not be zero
+   * @param {number} precision - Fraction digits to keep
+   * @param {string} rounding - One of ROUNDING_MODES
+   * @returns {Decimal} Rounded quotient
+   */
+  dividedBy(other, precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING) {
+    const b = Decimal.from(other);
+    if (b.isZero()) throw new RangeError("Division by zero");
+    // Scale so the integer quotient has exactly `precision` fraction digits
+    const shift = this.exponent - b.exponent + precision;
+    const numerator = this.coefficient * (shift > 0 ? pow10(shift) : 1n);
+    const denominator = b.coefficient * (shift < 0 ? pow10(-shift) : 1n);
+    return new Decimal(
+      divideAndRound(numerator, denominator, rounding),
+      -precision
+    );
+  }
+
+  /**
+   * Raises to a whole-number power; exact for positive exponents
+   * @param {number} n - Integer exponent
+   * @param {number} precision - Fraction digits kept when n is negative
+   * @param {string} rounding - One of ROUNDING_MODES
+   * @returns {Decimal}
+   */
+  pow(n, precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING) {
+    const positive = new Decimal(
+      this.coefficient ** BigInt(Math.abs(n)),
+      this.exponent * Math.abs(n)
+    );
+    return n < 0
+      ? new Decimal(1n).dividedBy(positive, precision, rounding)
+      : positive;
+  }
+
+  /**
+   * Square root of a non-negative value
+   * @param {number} precision - Fraction digits to keep
+   * @param {string} rounding - One of ROUNDING_MODES
+   * @returns {Decimal}
+   */
+  sqrt(precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING) {
+    if (this.isNegative()) {
+      throw new RangeError("Square root of a negative number");
+    }
+    // √(c × 10^e) = √(c × 10^(e + 2p)) × 10^-p
+    const scale = this.exponent + 2 * precision;
+    const radicand =
+      scale >= 0
+        ? this.coefficient * pow10(scale)
+        : divideAndRound(this.coefficient, pow10(-scale), "down");
+    let root = integerSqrt(radicand);
+    const remainder = radicand - root * root;
+    if (remainder > 0n) {
+      // Ties cannot happen: 4·radicand is never (2·root + 1)²
+      const aboveHalf = 4n * radicand > (2n * root + 1n) ** 2n;
+      const roundUp =
+        rounding === "up" || rounding === "ceil"
+          ? true
+          : rounding.startsWith("half")
+            ? aboveHalf
+            : false;
+      if (roundUp) root += 1n;
+    }
+    return new Decimal(root, -precision);
+  }
+
+  /**
+   * Rounds to a number of fraction digits
+   * @param {number} precision - Fraction digits to keep
+   * @param {string} rounding - One of ROUNDING_MODES
+   * @returns {Decimal}
+   */
+  round(precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING) {
+    if (this.exponent >= -precision) return this;
+    return new Decimal(
+      divideAndRound(
+        this.coefficient,
+        pow10(-precision - this.exponent),
+        rounding
+      ),
+      -precision
+    );
+  }
+
+  /**
+   * @param {Decimal|number|string} other
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    const [a, b] = this.#aligned(Decimal.from(other));
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  // Number of digits before the decimal point (at least 1)
+  integerDigits() {
+    const digits = absBig(this.coefficient).toString().length;
+    return Math.max(1, digits + this.exponent);
+  }
+
+  /**
+   * Plain notation, never exponential: "1234.5", "-0.001"
+   * @returns {string}
+   */
+  toString() {
+    const sign = this.isNegative() ? "-" : "";
+    const digits = absBig(this.coefficient).toString();
+    if (this.exponent >= 0) return sign + digits + "0".repeat(this.exponent);
+
+    const padded = digits.padStart(-this.exponent + 1, "0");
+    const point = padded.length + this.exponent;
+    return `${sign}${padded.slice(0, point)}.${padded.slice(point)}`;
+  }
+
+  // Nearest double, for functions only available on floats (sin, ln, ...)
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  // Integer part as BigInt (truncated toward zero)
+  toBigInt() {
+    return this.exponent >= 0
+      ? this.coefficient * pow10(this.exponent)
+      : this.coefficient / pow10(-this.exponent);
+  }
+}
@@ -0,0 +1,27 @@
+// File export helpers shared by the components: CSV fields and downloads
+// of generated text (history tapes, connection logs, conversion tables).
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} Text of the field in a CSV row
+ */
+export const escapeCsv = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Offers a text document to the user as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,72 @@
+// Number locale helpers shared by the components
+// Numbers are kept in a canonical form ("." as decimal separator, no grouping)
+// so code working with them never has to guess. These helpers translate
+// between that form and what people read and type in their own locale.
+
+/**
+ * Looks up the number conventions of a locale through Intl.NumberFormat
+ * @param {string|string[]} [locale] - BCP 47 locale tag(s), browser default when omitted
+ * @returns {{decimal: string, group: string, formatInteger: Function}}
+ *   Decimal and grouping separators plus a formatter for the integer part
+ */
+export const getNumberLocale = (locale) => {
+  const format = new Intl.NumberFormat(locale);
+  const parts = format.formatToParts(12345.6);
+  const find = (type, fallback) =>
+    parts.find((part) => part.type === type)?.value ?? fallback;
+
+  return {
+    decimal: find("decimal", "."),
+    group: find("group", ","),
+    // BigInt keeps every digit; Intl applies the locale's grouping (e.g. 12,34,567 in en-IN)
+    formatInteger: (digits) => format.format(BigInt(digits)),
+  };
+};
+
+/**
+ * Formats a canonical number string ("-1234.5") for display
+ * @param {string} text - Canonical number, may end with "." while it is being typed
+ * @param {Object} numberLocale - Result of getNumberLocale()
+ * @returns {string} Localized number, e.g. "-1.234,5" in de-DE
+ */
+export const formatLocalizedNumber = (text, numberLocale) => {
+  const [whole, fraction] = text.split(".");
+  const grouped = whole === "" ? "" : numberLocale.formatInteger(whole);
+  return fraction === undefined
+    ? grouped
+    : `${grouped}${numberLocale.decimal}${fraction}`;
+};
+
+/**
+ * Converts a number written in any common convention to canonical form
+ * "1.234,56", "1,234.56", "1 234,56" and "1'234.56" all become "1234.56"
+ * @param {string} text - Digits with separators, starting and ending with a digit
+ * @param {Object} numberLocale - Result of getNumberLocale(), breaks ties
+ * @returns {string} Canonical number
+ */
+export const parseLocalizedNumber = (text, numberLocale) => {
+  // Spaces (\s covers the no-break ones) and apostrophes only ever group digits
+  const compact = text.replace(/['’\s]/g, "");
+  const lastComma = compact.lastIndexOf(",");
+  const lastPeriod = compact.lastIndexOf(".");
+
+  let decimal = null;
+  if (lastComma !== -1 && lastPeriod !== -1) {
+    // Both present: the one that comes last is the decimal separator
+    decimal = lastComma > lastPeriod ? "," : ".";
+  } else if (lastComma !== -1 || lastPeriod !== -1) {
+    const separator = lastComma !== -1 ? "," : ".";
+    const occurrences = compact.split(separator).length - 1;
+    const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+    // "1,234,567" is grouping and "1,5" a decimal; "1,234" follows the locale
+    const isDecimal =
+      occurrences === 1 &&
+      (digitsAfter !== 3 || separator === numberLocale.decimal);
+    if (isDecimal) decimal = separator;
+  }
+
+  // Drop every separator except the decimal one, which becomes "."
+  return compact
+    .replace(decimal === "," ? /\./g : decimal === "." ? /,/g : /[.,]/g, "")
+    .replace(",", ".");
+};
@@ -1,7 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Local heartbeat endpoint for ConnectionStatus (see heartbeat.js), served by
+// the dev server, the only place the app probes it. GET /health answers 204
+// while the stub is up; visiting /health/down makes it answer 503, so the
+// banner shows the degraded state, and /health/up brings it back.
+const heartbeatStub = () => {
+  let up = true
+
+  const middleware = (req, res, next) => {
+    const path = req.url.split('?')[0]
+    if (path === '/health/down' || path === '/health/up') {
+      up = path === '/health/up'
+      res.setHeader('Content-Type', 'text/plain')
+      res.end(`Heartbeat stub is ${up ? 'up' : 'down'}\n`)
+      return
+    }
+    if (path !== '/health') return next()
+    res.setHeader('Cache-Control', 'no-store')
+    res.statusCode = up ? 204 : 503
+    res.end()
+  }
+
+  return {
+    name: 'heartbeat-stub',
+    configureServer(server) {
+      server.middlewares.use(middleware)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), heartbeatStub()],
 })